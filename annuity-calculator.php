@@ -20,6 +20,7 @@ function display_ac_annuity_calculator(){
         'assets/css/main.css',
         'assets/css/input.css',
         'assets/css/result.css',
+        'assets/css/report.css',
         'assets/js/app.js',
         'assets/js/dialog-table.js',
     );
@@ -1,31 +1,148 @@
 // @ts-check
 'use strict'
 
+import {
+    AnnuityError,
+    InvalidParametersError,
+    CalculationFailedError,
+    InfeasibleParametersError,
+    getAnnualResults,
+    calculateIncome,
+    calculateAnnuityTerm,
+    calculateStartingPrincipal,
+    calculateInterestRate,
+    calculateAnnualIncrease,
+    calculateStartingPrincipalForNetIncome,
+    calculateRequiredContribution,
+    getPeriodTaxResults,
+} from './engine/annuity.js';
+import { parseRateSchedule, describeRateSchedule } from './engine/rate-schedule.js';
+import { DEFAULT_SEED, MAX_SIMULATIONS, runMonteCarlo } from './engine/monte-carlo.js';
+import { getAvailableStartYears, runBacktest } from './engine/backtest.js';
+import { getExpectedPayments } from './engine/life-annuity.js';
+import { DEFAULT_PRESERVATION_END_YEARS, GUARDRAIL_RULES } from './engine/guardrails.js';
+import { getCashFlowYears } from './engine/cash-flows.js';
+import {
+    CSV_MIME_TYPE,
+    XLSX_MIME_TYPE,
+    JSON_MIME_TYPE,
+    toCsv,
+    toXlsx,
+    toJson,
+    downloadFile,
+} from './export.js';
+
 console.log('Script is OK! ༼ つ ◕_◕ ༽つ');
 
 // Types
 /** @typedef {import('./lib/chartjs/chart.js').Chart} Chart */
 /** @typedef {Record<string, ?HTMLElement | undefined>} ElementList */
-/** @typedef {Record<string, number>[]} ResultList */
+/** @typedef {import('./engine/annuity.js').ResultList} ResultList */
+/** @typedef {import('./engine/annuity.js').AnnuityParams} AnnuityParams */
+/** @typedef {import('./engine/annuity.js').AnnuitySummary} AnnuitySummary */
+/** @typedef {import('./engine/annuity.js').AnnuityResult} AnnuityResult */
+/** @typedef {import('./engine/annuity.js').CalcFunc} CalcFunc */
+/** @typedef {import('./engine/annuity.js').PaymentTiming} PaymentTiming */
+/** @typedef {import('./engine/annuity.js').FeeFreeComparison} FeeFreeComparison */
+/** @typedef {import('./engine/annuity.js').FeasibleValue} FeasibleValue */
+/** @typedef {import('./engine/rate-schedule.js').RateSchedule} RateSchedule */
+/** @typedef {import('./engine/cash-flows.js').CashFlowEvent} CashFlowEvent */
+/** @typedef {import('./engine/tax.js').TaxTable} TaxTable */
+/** @typedef {import('./engine/tax.js').TaxSettings} TaxSettings */
+/** @typedef {import('./engine/life-annuity.js').MortalityTable} MortalityTable */
+/** @typedef {import('./engine/life-annuity.js').LifeSettings} LifeSettings */
+/** @typedef {import('./engine/life-annuity.js').JointLife} JointLife */
+/** @typedef {import('./engine/accumulation.js').AccumulationSettings} AccumulationSettings */
+/** @typedef {import('./engine/living-annuity.js').LivingAnnuitySettings} LivingAnnuitySettings */
+/** @typedef {import('./engine/guardrails.js').GuardrailSettings} GuardrailSettings */
+/** @typedef {import('./engine/monte-carlo.js').MonteCarloParams} MonteCarloParams */
+/** @typedef {import('./engine/monte-carlo.js').MonteCarloResult} MonteCarloResult */
+/** @typedef {import('./engine/backtest.js').ReturnSeries} ReturnSeries */
+/** @typedef {import('./engine/backtest.js').BacktestResult} BacktestResult */
+/** @typedef {import('./export.js').ExportSheet} ExportSheet */
+/** @typedef {import('./export.js').ExportValue} ExportValue */
+/**
+ * @typedef {Object} ScheduleColumn
+ * @property {string} title
+ * @property {string} key
+ * @property {(value: number) => string} [format] for columns that are not amounts of money
+ */
+/**
+ * @typedef {Object} MonteCarloSettings
+ * @property {number} expectedReturn
+ * @property {number} volatility
+ * @property {number} simulations
+ * @property {number} seed
+ * @property {?number} currentAge
+ */
+/**
+ * @typedef {Object} MonteCarloProjection
+ * @property {MonteCarloResult} result
+ * @property {number} inflationRate
+ */
+/**
+ * @typedef {Object} BacktestSettings
+ * @property {string} market key of the market in the historical returns data
+ * @property {?number} startYear `null` for every rolling period
+ */
+/**
+ * @typedef {Object} Scenario
+ * @property {string} name
+ * @property {string} color
+ * @property {number} calcTypeIndex
+ * @property {AnnuitySummary} summary
+ * @property {number[]} endBalances
+ * @property {number[]} realEndBalances
+ */
+/**
+ * @typedef {Object} CalculationInput
+ * @property {string} label
+ * @property {string | number} value
+ * @property {'text' | 'money' | 'percent' | 'years'} type
+ */
 /**
- * @callback CalcFunc
- * @param {?number} principal
- * @param {?number} annuityTerm
- * @param {?number} interestRate
- * @param {number} compound
- * @param {?number} monthlyIncome
- * @param {?number} annualIncrease
- * @returns {{ calculationResults: ResultList, outputResults: Record<string, string>}}
+ * @typedef {Object} CalculationState
+ * @property {number} calcTypeIndex
+ * @property {ResultList} calculationResults
+ * @property {ResultList} annualResults
+ * @property {AnnuitySummary} summary
+ * @property {ScheduleColumn[]} columns
  */
 
 const CRITICAL_ERROR_MESSAGE = "Please refresh the page and try again.";
-const CALCULATION_FAILED_ERROR_MESSAGE = "Please check the input values are reasonable";
-const CALCULATION_LIMIT_YEARS = 1000;
-const CALCULATION_TOO_LONG_ERROR_MESSAGE = `This annuity will last longer than ${CALCULATION_LIMIT_YEARS} years. Please increase the monthly withdrawal`;
 
 let currencySymbol = 'R';
 let showCurrencyDecimals = true;
 
+/** @type {?CalculationState} */
+let lastCalculation = null;
+
+/** @type {Scenario[]} */
+const scenarios = [];
+let savedScenarioCount = 0;
+
+/** @type {?Worker} */
+let monteCarloWorker = null;
+let monteCarloRunId = 0;
+/** @type {?MonteCarloProjection} */
+let monteCarloProjection = null;
+
+/** @type {?Promise<Record<string, ReturnSeries>>} */
+let historicalReturns = null;
+/** @type {?BacktestResult} */
+let backtestResult = null;
+
+let cashFlowEventCount = 0;
+
+/** @type {?Record<string, TaxTable>} */
+let taxTables = null;
+
+/** @type {?Record<string, MortalityTable>} */
+let mortalityTables = null;
+
+/** @type {?Chart} */
+let expectedIncomeChart = null;
+
 /** @param {Event} event */
 function toggleRelatedInputs(event) {
     const element = /** @type {HTMLSelectElement} */ (event.target);
@@ -41,33 +158,29 @@ function toggleRelatedInputs(event) {
     });
 }
 
-/** @param {Event} event */
-function forceNumeric(event) {
-    const element = /** @type {?HTMLInputElement} */ (event.target);
-    if (!element) return;
-    element.value = element.value
+/**
+ * @param {string} value
+ * @param {boolean} [signed] keep a leading minus sign
+ */
+function toNumericText(value, signed = false) {
+    const negative = signed && value.trim().startsWith('-');
+    return (negative ? '-' : '') + value
         .replace(/[^0-9.]/g, '')
         .replace(/(\..*?)\..*/g, '$1');
 }
 
-/**
- * @param {number} num
- * @param {number} decimals
- * @returns {number}
- */
-function roundDown(num, decimals = 0) {
-    const exp = Math.pow(10, decimals);
-    return Math.floor(num * exp) / exp;
+/** @param {Event} event */
+function forceNumeric(event) {
+    const element = /** @type {?HTMLInputElement} */ (event.target);
+    if (!element) return;
+    element.value = toNumericText(element.value);
 }
 
-/**
- * @param {number} num
- * @param {number} decimals
- * @returns {number}
- */
-function roundUp(num, decimals = 0) {
-    const exp = Math.pow(10, decimals);
-    return Math.ceil(num * exp) / exp;
+/** @param {Event} event */
+function forceSignedNumeric(event) {
+    const element = /** @type {?HTMLInputElement} */ (event.target);
+    if (!element) return;
+    element.value = toNumericText(element.value, true);
 }
 
 /** @param {string} value */
@@ -108,482 +221,223 @@ function currencyFormat(num, space = '&nbsp') {
     return `${currencySymbol}${space}` + num.toFixed(showCurrencyDecimals ? 2 : 0).replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,')
 }
 
-/** 
- * @param {number} interestRate
- * @param {number} compound
- * @returns {number}
- */
-function getInterestPayRate(interestRate, compound) {
-    const cc = compound / 12;
-    const interest = Math.pow(1 + (interestRate / 100), 1 / compound) - 1;
-    return Math.pow(1 + interest, cc) - 1;
-}
-
-/**
- * @param {ResultList} monthlyResults 
- * @returns {ResultList}
- */
-function getAnnualResults(monthlyResults) {
-    let annualResults = [];
-
-    let totalInterest = 0;
-    let totalWithdrawn = 0;
-
-    let annualInterest = 0;
-    let annualWithdrawals = 0;
-    let annualStartBalance = undefined;
-
-    monthlyResults.forEach((item, index) => {
-        totalInterest += item.interestPayment;
-        totalWithdrawn += item.withdrawal;
-        annualInterest += item.interestPayment;
-        annualWithdrawals += item.withdrawal;
-        if (annualStartBalance === undefined) {
-            annualStartBalance = item.startBalance;
-        }
-
-        if ((index + 1) % 12 === 0 || (index + 1) === monthlyResults.length) {
-            annualResults.push({
-                startBalance: annualStartBalance,
-                endBalance: item.endBalance,
-                interestPayment: annualInterest,
-                withdrawal: annualWithdrawals,
-                totalInterest,
-                totalWithdrawn
-            });
-            annualInterest = 0;
-            annualWithdrawals = 0;
-            annualStartBalance = undefined;
-        }
-    });
-
-    return annualResults;
-}
-
-/**
- * @param {number} principal
- * @param {number} annuityTerm
- * @param {number} interestRate
- * @param {number} compound
- * @param {number} initialMonthlyIncome
- * @param {number} annualIncrease
- */
-function calculateResultFast(
-    principal,
-    annuityTerm,
-    interestRate,
-    compound,
-    initialMonthlyIncome,
-    annualIncrease,
-) {
-    const ratePayB = getInterestPayRate(interestRate, compound);
-
-    let balance = principal;
-    let monthlyIncome = initialMonthlyIncome;
-    let finalWithdrawal = 0;
-
-    let i = 0;
-    while (balance >= 0.01) {
-        if (i > 0 && i % 12 === 0) {
-            monthlyIncome *= 1 + annualIncrease / 100;
-        }
-        if (i > 2 * annuityTerm * 12) {
-            return {
-                actualAnnuityTerm: Number.POSITIVE_INFINITY,
-                finalMonthlyIncome: 0,
-                finalWithdrawal: 0
-            }
-        }
-
-        const interestPayment = balance * ratePayB;
-        balance += interestPayment;
-
-        const withdrawal = Math.min(balance, monthlyIncome)
-        balance -= withdrawal;
-        finalWithdrawal = withdrawal;
-
-        i++;
+/** @param {number} paymentFrequency */
+function getPaymentFrequencyLabel(paymentFrequency) {
+    switch (paymentFrequency) {
+        case 52:
+            return 'Weekly';
+        case 26:
+            return 'Fortnightly';
+        case 4:
+            return 'Quarterly';
+        case 2:
+            return 'Semi-Annual';
+        case 1:
+            return 'Annual';
+        case 12:
+        default:
+            return 'Monthly';
     }
-
-    const actualAnnuityTerm = i / 12;
-
-    return { actualAnnuityTerm, finalMonthlyIncome: monthlyIncome, finalWithdrawal };
 }
 
-/**
- * @param {number} principal
- * @param {?number} annuityTerm
- * @param {number} interestRate
- * @param {number} compound
- * @param {number} initialMonthlyIncome
- * @param {number} annualIncrease
+/** 
+ * @param {?number} calcTypeIndex 
+ * @returns {CalcFunc}
  */
-function calculateResult(
-    principal,
-    annuityTerm,
-    interestRate,
-    compound,
-    initialMonthlyIncome,
-    annualIncrease,
-) {
-    const ratePayB = getInterestPayRate(interestRate, compound);
-
-    const results = [];
-    let balance = principal;
-    let monthlyIncome = initialMonthlyIncome;
-
-    let i = 0;
-    while (balance >= 0.01) {
-        if (i > 0 && i % 12 === 0) {
-            monthlyIncome *= 1 + annualIncrease / 100;
-        }
-        if (annuityTerm && i > 2 * annuityTerm * 12) {
-            input.error([], CALCULATION_FAILED_ERROR_MESSAGE, true);
-            throw new Error("Invalid state");
-        } else if (!annuityTerm && i > CALCULATION_LIMIT_YEARS * 12) {
-            input.error([], CALCULATION_TOO_LONG_ERROR_MESSAGE, true);
-            throw new Error("Calculation ran for too long");
-        }
-
-        const startBalance = balance;
-
-        const interestPayment = balance * ratePayB;
-        balance += interestPayment;
-
-        const withdrawal = Math.min(balance, monthlyIncome)
-        balance -= withdrawal;
-
-        results.push({
-            startBalance,
-            endBalance: balance,
-            interestPayment,
-            withdrawal
-        });
-
-        i++;
+function getCalcFuncFromIndex(calcTypeIndex) {
+    switch (calcTypeIndex) {
+        case 0: return calculateIncome;
+        case 1: return calculateAnnuityTerm;
+        case 2: return calculateStartingPrincipal;
+        case 3: return calculateInterestRate;
+        case 4: return calculateAnnualIncrease;
+        default:
+            input.error([], CRITICAL_ERROR_MESSAGE, true);
+            throw new Error(`Invalid calculation type index: ${calcTypeIndex}`);
     }
-
-    const actualAnnuityTerm = results.length / 12;
-
-    return { results, actualAnnuityTerm, finalMonthlyIncome: monthlyIncome };
 }
 
-const DELTA = 0.0000000001;
-const RETRY_COUNT = 10;
-const DELTA_COUNT = 18;
-
 /**
- * @param {(v: number) => number} resultGetter 
- * @param {number} initialIncrement 
- * @param {'increasing'|'decreasing'} type
- * @param {number} [initialValue]
- * @returns {number}
+ * What the fees cost in terms of the value being solved for.
+ * @param {number} calcTypeIndex
+ * @param {AnnuitySummary} summary
+ * @param {FeeFreeComparison} feeFree
+ * @returns {string}
  */
-function findParameter(
-    resultGetter,
-    type,
-    initialIncrement,
-    initialValue = 0.1,
-) {
-    let delta = DELTA;
-    for (let d = 0; d < DELTA_COUNT; d++) {
-        let dm = 1 - delta;
-        let dp = 1;
-        for (let r = 0; r <= RETRY_COUNT; r++) {
-            let value = initialValue;
-            let increment = initialIncrement * Math.pow(2, r);
-            for (let i = 0; i < 1000; i++) {
-                const ratio = resultGetter(value);
-                if (ratio < dm) {
-                    value -= increment;
-                    if (type === 'increasing') {
-                        increment = increment / 2;
-                    }
-                } else if (ratio >= dm && ratio <= dp) {
-                    if (value < 0) {
-                        input.error([], CALCULATION_FAILED_ERROR_MESSAGE, true);
-                        throw new Error("Calculation failed");
-                    }
-                    return value;
-                } else {
-                    value += increment;
-                    if (type === 'decreasing') {
-                        increment = increment / 2;
-                    }
-                }
+function getFeeImpact(calcTypeIndex, summary, feeFree) {
+    switch (calcTypeIndex) {
+        case 0:
+            return `${getPaymentFrequencyLabel(summary.paymentFrequency)} Income Lost to Fees: ${currencyFormat(feeFree.income - summary.income)}`;
+        case 1:
+            if (feeFree.perpetual) {
+                return summary.perpetual ? 'Fees Do Not Shorten the Term' : 'Without Fees the Income Would Last Indefinitely';
             }
-        }
-        delta *= 10;
+            return `Term Lost to Fees: ${(feeFree.annuityTerm - summary.annuityTerm).toFixed(1)} years`;
+        case 2:
+            return `Extra Principal Needed for Fees: ${currencyFormat(summary.principal - feeFree.principal)}`;
+        case 4:
+            return `Annual Increase Lost to Fees: ${(feeFree.annualIncrease - summary.annualIncrease).toFixed(3)}%`;
+        case 3:
+        default:
+            return `Extra Return Needed for Fees: ${(summary.interestRate - feeFree.interestRate).toFixed(3)}%`;
     }
-
-    input.error([], CALCULATION_FAILED_ERROR_MESSAGE, true);
-    throw new Error("Calculation Failed");
 }
 
 /**
- * @param {(v: number) => number} resultGetter 
- * @param {'increasing'|'decreasing'} type
- * @param {number} initialIncrement 
- * @param {number} initialValue 
- * @returns {number}
+ * @param {number} calcTypeIndex
+ * @param {AnnuitySummary} summary
+ * @returns {Record<string, string>}
  */
-function findMoneyParameter(
-    resultGetter,
-    type,
-    initialIncrement,
-    initialValue = 0.1,
-) {
-    const value = findParameter(resultGetter, type, initialIncrement, initialValue);
-    const moneyValue = type === 'increasing'
-        ? roundDown(value, 2)
-        : roundUp(value, 2);
-
-    return moneyValue;
-}
-
-/** @type {CalcFunc} */
-function calculateMonthlyIncome(
-    principal,
-    annuityTerm,
-    interestRate,
-    compound,
-    _monthlyIncome,
-    annualIncrease,
-) {
-    if (
-        principal === null ||
-        annuityTerm === null ||
-        interestRate === null ||
-        annualIncrease === null
-    ) {
-        input.error([], CRITICAL_ERROR_MESSAGE, true);
-        throw new Error("Invalid state");
-    }
-
-    const ratePayB = getInterestPayRate(interestRate, compound);
-    const firstInterestPayment = principal * ratePayB;
-
-    const income = findMoneyParameter((i) => {
-        const { actualAnnuityTerm, finalWithdrawal, finalMonthlyIncome } = calculateResultFast(
-            principal,
-            annuityTerm,
-            interestRate,
-            compound,
-            i,
-            annualIncrease,
-        );
-        if (actualAnnuityTerm === annuityTerm) {
-            return finalWithdrawal / finalMonthlyIncome;
-        } else {
-            return actualAnnuityTerm / annuityTerm;
-        }
-    }, 'decreasing', 100, firstInterestPayment);
-
-    const { results } = calculateResult(
+function getOutputResults(calcTypeIndex, summary) {
+    const {
         principal,
         annuityTerm,
         interestRate,
-        compound,
+        rateSchedule,
+        paymentFrequency,
         income,
         annualIncrease,
-    );
-
-    const totalWithdrawn = results.map(it => it.withdrawal).reduce((a, b) => a + b);
-    const totalInterest = results.map(it => it.interestPayment).reduce((a, b) => a + b);
-    const initialAnnualIncome = income * Math.min(12, results.length);
-    const drawDown = initialAnnualIncome / Math.max(principal, initialAnnualIncome) * 100;
-
-    return {
-        calculationResults: results,
-        outputResults: {
-            main: `Monthly Income: ${currencyFormat(income)} <br /> Increasing at ${annualIncrease}% per annum`,
-            smallA: `Initial Annual Income: ${currencyFormat(initialAnnualIncome)} <br /> Draw Down Percentage: ${drawDown.toFixed(1)}%`,
-            smallB: `Total Withdrawn: ${currencyFormat(totalWithdrawn)}`,
-            smallC: `Total Interest: ${currencyFormat(totalInterest)}`,
-        }
-    }
-}
-
-/** @type {CalcFunc} */
-function calculateAnnuityTerm(
-    principal,
-    annuityTerm,
-    interestRate,
-    compound,
-    monthlyIncome,
-    annualIncrease,
-) {
-    if (
-        principal === null ||
-        interestRate === null ||
-        monthlyIncome === null ||
-        annualIncrease === null
-    ) {
-        input.error([], CRITICAL_ERROR_MESSAGE, true);
-        throw new Error("Invalid state");
+        initialAnnualIncome,
+        drawDown,
+        totalWithdrawn,
+        totalInterest,
+        effectiveAnnualRate,
+        inflationRate,
+        finalRealIncome,
+        totalRealWithdrawn,
+        totalRealInterest,
+        cashFlows,
+        totalCashFlowDeposits,
+        totalCashFlowWithdrawals,
+        totalFees,
+        feeFree,
+        taxTable,
+        netIncome,
+        totalTax,
+        totalNetWithdrawn,
+        lifeExpectancy,
+        guaranteeYears,
+        survivorPercent,
+        accumulation,
+        accumulationYears,
+        totalContributions,
+        endingBalance,
+        realEndingBalance,
+        finalIncome,
+        livingAnnuity,
+        guardrails,
+        incomeCutYears,
+        incomeRaiseYears,
+        perpetual,
+        sustainableIncome,
+        sustainableGrowingIncome
+    } = summary;
+    const paymentFrequencyLabel = getPaymentFrequencyLabel(paymentFrequency);
+
+    let main = '';
+    switch (calcTypeIndex) {
+        case 0:
+            main = livingAnnuity
+                ? `Initial ${paymentFrequencyLabel} Income: ${currencyFormat(income)} <br /> Reset to ${livingAnnuity.drawDownRate}% of the balance every year`
+                : `${paymentFrequencyLabel} Income${lifeExpectancy !== null ? ' for Life' : ''}: ${currencyFormat(income)} <br /> Increasing at ${annualIncrease}% per annum`;
+            if (guardrails) main += ' within the guardrails';
+            break;
+        case 1:
+            if (perpetual) {
+                main = `This income is sustainable indefinitely <br /> Shown over the first ${annuityTerm} years`;
+                break;
+            }
+            main = `Annuity Term: ${annuityTerm.toFixed(1)} years`;
+            if (endingBalance >= 0.01) main += ` <br /> Until the balance falls to ${currencyFormat(endingBalance)}`;
+            break;
+        case 2:
+            if (accumulation?.contribution === 0) {
+                main = `No Saving Required <br /> The current balance pays this income ${perpetual ? 'indefinitely' : `for ${annuityTerm.toFixed(1)} years`}`;
+                break;
+            }
+            main = accumulation
+                ? `Monthly Saving Required: ${currencyFormat(accumulation.contribution)} <br /> For ${accumulationYears} years`
+                : `Principal: ${currencyFormat(principal)}`;
+            break;
+        case 3:
+            main = `Interest Rate: ${interestRate}% `;
+            if (interestRate < 0) main += '<br /> The principal pays the income even at a negative return';
+            break;
+        case 4:
+            main = annualIncrease < 0
+                ? `Annual Decrease: ${-annualIncrease}% per annum <br /> The income must fall every year`
+                : `Annual Increase: ${annualIncrease}% per annum`;
+            break;
     }
 
-    const { results, actualAnnuityTerm } = calculateResult(
-        principal,
-        annuityTerm,
-        interestRate,
-        compound,
-        monthlyIncome,
-        annualIncrease,
-    );
+    const outputResults = {
+        main,
+        smallA: `Initial Annual Income: ${currencyFormat(initialAnnualIncome)} <br /> Draw Down Percentage: ${drawDown.toFixed(1)}%`,
+        smallB: `Total Withdrawn: ${currencyFormat(totalWithdrawn)}`,
+        smallC: `Total Interest: ${currencyFormat(totalInterest)} <br /> Effective Annual Rate: ${effectiveAnnualRate.toFixed(3)}%`,
+    };
 
-    const totalWithdrawn = results.map(it => it.withdrawal).reduce((a, b) => a + b);
-    const totalInterest = results.map(it => it.interestPayment).reduce((a, b) => a + b);
-    const initialAnnualIncome = monthlyIncome * Math.min(12, results.length);
-    const drawDown = initialAnnualIncome / Math.max(principal, initialAnnualIncome) * 100;
+    if (livingAnnuity || guardrails) {
+        outputResults.smallA += ` <br /> Final ${paymentFrequencyLabel} Income: ${currencyFormat(finalIncome)}`;
+    }
 
-    return {
-        calculationResults: results,
-        outputResults: {
-            main: `Annuity Term: ${actualAnnuityTerm.toFixed(1)} years`,
-            smallA: `Initial Annual Income: ${currencyFormat(initialAnnualIncome)} <br /> Draw Down Percentage: ${drawDown.toFixed(1)}%`,
-            smallB: `Total Withdrawn: ${currencyFormat(totalWithdrawn)}`,
-            smallC: `Total Interest: ${currencyFormat(totalInterest)}`,
+    if (sustainableIncome !== null) {
+        outputResults.smallA += ` <br /> Maximum Sustainable ${paymentFrequencyLabel} Income: ${currencyFormat(sustainableIncome)}`;
+        if (annualIncrease !== 0) {
+            outputResults.smallA += sustainableGrowingIncome !== null
+                ? ` <br /> Rising at ${annualIncrease}% a Year: ${currencyFormat(sustainableGrowingIncome)}`
+                : ` <br /> No income can rise at ${annualIncrease}% indefinitely`;
         }
     }
-}
 
-/** @type {CalcFunc} */
-function calculateStartingPrincipal(
-    _principal,
-    annuityTerm,
-    interestRate,
-    compound,
-    monthlyIncome,
-    annualIncrease,
-) {
-    if (
-        annuityTerm === null ||
-        interestRate === null ||
-        monthlyIncome === null ||
-        annualIncrease === null
-    ) {
-        input.error([], CRITICAL_ERROR_MESSAGE, true);
-        throw new Error("Invalid state");
+    if (guardrails) {
+        outputResults.smallA += ` <br /> Income Cut in ${incomeCutYears} ${incomeCutYears === 1 ? 'year' : 'years'},`
+            + ` Raised in ${incomeRaiseYears} ${incomeRaiseYears === 1 ? 'year' : 'years'}`;
     }
 
-    const principal = findMoneyParameter((p) => {
-        const { actualAnnuityTerm, finalWithdrawal, finalMonthlyIncome } = calculateResultFast(
-            p,
-            annuityTerm,
-            interestRate,
-            compound,
-            monthlyIncome,
-            annualIncrease,
-        );
-        if (actualAnnuityTerm === annuityTerm) {
-            return finalMonthlyIncome / finalWithdrawal;
-        } else {
-            return annuityTerm / actualAnnuityTerm;
-        }
-    }, 'increasing', monthlyIncome, monthlyIncome);
-
-    const { results } = calculateResult(
-        principal,
-        annuityTerm,
-        interestRate,
-        compound,
-        monthlyIncome,
-        annualIncrease,
-    );
-
-    const totalWithdrawn = results.map(it => it.withdrawal).reduce((a, b) => a + b);
-    const totalInterest = results.map(it => it.interestPayment).reduce((a, b) => a + b);
-    const initialAnnualIncome = monthlyIncome * Math.min(12, results.length);
-    const drawDown = initialAnnualIncome / Math.max(principal, initialAnnualIncome) * 100;
-
-    return {
-        calculationResults: results,
-        outputResults: {
-            main: `Principal: ${currencyFormat(principal)}`,
-            smallA: `Initial Annual Income: ${currencyFormat(initialAnnualIncome)} <br /> Draw Down Percentage: ${drawDown.toFixed(1)}%`,
-            smallB: `Total Withdrawn: ${currencyFormat(totalWithdrawn)}`,
-            smallC: `Total Interest: ${currencyFormat(totalInterest)}`,
-        }
+    if (accumulation) {
+        outputResults.smallA += ` <br /> Balance at Retirement: ${currencyFormat(principal)}`;
+        outputResults.smallB += ` <br /> Total Contributions: ${currencyFormat(totalContributions)}`;
     }
-}
 
-/** @type {CalcFunc} */
-function calculateInterestRate(
-    principal,
-    annuityTerm,
-    _interestRate,
-    compound,
-    monthlyIncome,
-    annualIncrease,
-) {
-    if (
-        principal == null ||
-        annuityTerm === null ||
-        monthlyIncome === null ||
-        annualIncrease === null
-    ) {
-        input.error([], CRITICAL_ERROR_MESSAGE, true);
-        throw new Error("Invalid state");
+    if (lifeExpectancy !== null) {
+        outputResults.smallA += survivorPercent !== null
+            ? ` <br /> Expected Years Until the Second Death: ${lifeExpectancy.toFixed(1)} <br /> Survivor Income: ${survivorPercent}%`
+            : ` <br /> Life Expectancy: ${lifeExpectancy.toFixed(1)} years`;
+        if (guaranteeYears > 0) outputResults.smallA += ` <br /> Guaranteed for ${guaranteeYears} years`;
     }
 
-    const rate = findParameter((r) => {
-        const { actualAnnuityTerm, finalWithdrawal, finalMonthlyIncome } = calculateResultFast(
-            principal,
-            annuityTerm,
-            r,
-            compound,
-            monthlyIncome,
-            annualIncrease,
-        );
-        if (actualAnnuityTerm === annuityTerm) {
-            return finalMonthlyIncome / finalWithdrawal;
-        } else {
-            return annuityTerm / actualAnnuityTerm;
-        }
-    }, 'increasing', 1, 0);
+    if (taxTable) {
+        outputResults.smallA += ` <br /> ${paymentFrequencyLabel} Income After Tax: ${currencyFormat(netIncome)}`;
+        if (calcTypeIndex !== 0) outputResults.smallA += ` (${currencyFormat(income)} before tax)`;
+        outputResults.smallB += ` <br /> Total Tax: ${currencyFormat(totalTax)} <br /> Total After Tax: ${currencyFormat(totalNetWithdrawn)}`;
+    }
 
-    const interestRate = roundDown(rate, 3);
+    if (totalFees > 0) {
+        outputResults.smallB += ` <br /> Total Fees: ${currencyFormat(totalFees)}`;
+        if (feeFree) outputResults.smallA += ` <br /> ${getFeeImpact(calcTypeIndex, summary, feeFree)}`;
+    }
 
-    const { results } = calculateResult(
-        principal,
-        annuityTerm,
-        interestRate,
-        compound,
-        monthlyIncome,
-        annualIncrease,
-    );
+    if (cashFlows.length) {
+        outputResults.smallB += ` <br /> Lump-Sum Deposits: ${currencyFormat(totalCashFlowDeposits)} <br /> Lump-Sum Withdrawals: ${currencyFormat(totalCashFlowWithdrawals)}`;
+    }
 
-    const totalWithdrawn = results.map(it => it.withdrawal).reduce((a, b) => a + b);
-    const totalInterest = results.map(it => it.interestPayment).reduce((a, b) => a + b);
-    const initialAnnualIncome = monthlyIncome * Math.min(12, results.length);
-    const drawDown = initialAnnualIncome / Math.max(principal, initialAnnualIncome) * 100;
+    if (rateSchedule) {
+        outputResults.smallC = `Total Interest: ${currencyFormat(totalInterest)} <br /> Rate Schedule: ${describeRateSchedule(rateSchedule)}`;
+    }
 
-    return {
-        calculationResults: results,
-        outputResults: {
-            main: `Interest Rate: ${interestRate}% `,
-            smallA: `Initial Annual Income: ${currencyFormat(initialAnnualIncome)} <br /> Draw Down Percentage: ${drawDown.toFixed(1)}%`,
-            smallB: `Total Withdrawn: ${currencyFormat(totalWithdrawn)}`,
-            smallC: `Total Interest: ${currencyFormat(totalInterest)}`,
-        }
+    if (inflationRate !== 0) {
+        outputResults.smallA += ` <br /> Final ${paymentFrequencyLabel} Income in Today's Money: ${currencyFormat(finalRealIncome)}`;
+        outputResults.smallB += ` <br /> In Today's Money: ${currencyFormat(totalRealWithdrawn)}`;
+        outputResults.smallC += ` <br /> Real Interest: ${currencyFormat(totalRealInterest)}`;
     }
-}
 
-/** 
- * @param {?number} calcTypeIndex 
- * @returns {CalcFunc}
- */
-function getCalcFuncFromIndex(calcTypeIndex) {
-    switch (calcTypeIndex) {
-        case 0: return calculateMonthlyIncome;
-        case 1: return calculateAnnuityTerm;
-        case 2: return calculateStartingPrincipal;
-        case 3: return calculateInterestRate;
-        default:
-            input.error([], CRITICAL_ERROR_MESSAGE, true);
-            throw new Error(`Invalid calculation type index: ${calcTypeIndex}`);
+    if (endingBalance >= 0.01) {
+        outputResults.smallB += ` <br /> Ending Balance: ${currencyFormat(endingBalance)}`;
+        if (inflationRate !== 0) outputResults.smallB += ` (${currencyFormat(realEndingBalance)} in today's money)`;
     }
+
+    return outputResults;
 }
 
 const customDataLabels = {
@@ -614,6 +468,16 @@ const colors = {
     secondary: '#00ABD0'
 };
 
+const monteCarloFanColor = 'rgba(0, 171, 208, 0.2)';
+
+const backtestColors = { worst: '#EF4444', median: '#6B7280', best: '#10B981' };
+
+const cashFlowColors = { deposit: '#10B981', withdrawal: '#EF4444' };
+
+const incomeLineColor = '#F97316';
+
+const scenarioColors = ['#F59E0B', '#10B981', '#EF4444', '#8B5CF6', '#EC4899', '#84CC16'];
+
 const tooltip = {
     enabled: false,
     external: function (context) {
@@ -689,6 +553,9 @@ const secondaryChartData = [
     },
 ];
 
+/** Balance, interest and withdrawn datasets; saved scenarios are appended after them. */
+const PRIMARY_DATASET_COUNT = 3;
+
 const primaryChartData = {
     labels: [
         1,
@@ -804,6 +671,8 @@ const $errorBox = /** @type {HTMLElement} */ (document.getElementById('error-box
 const $errorList = /** @type {HTMLElement} */ (document.getElementById('error-list'));
 const $annualResultsTable = /** @type {HTMLElement} */ (document.getElementById('annual-results'));
 const $monthlyResultsTable = /** @type {HTMLElement} */ (document.getElementById('monthly-results'));
+const $annualResultsHead = /** @type {HTMLElement} */ (document.getElementById('annual-results-head'));
+const $monthlyResultsHead = /** @type {HTMLElement} */ (document.getElementById('monthly-results-head'));
 const $monthlyFigures = /** @type {HTMLElement} */ (document.getElementById('monthly-figures'));
 
 const $secondaryChart = /** @type {HTMLCanvasElement} */ (document.getElementById('secondary-chart'));
@@ -813,6 +682,131 @@ const $calculateBtn = /** @type {HTMLButtonElement} */ (document.getElementById(
 const $showMonthlyFigures = /** @type {HTMLInputElement} */ (document.getElementById('show-monthly-figures'));
 
 const $currency = /** @type {HTMLSelectElement} */ (document.getElementById('currency'));
+const $compounding = /** @type {HTMLSelectElement} */ (document.getElementById('compounding'));
+const $paymentFrequency = /** @type {HTMLSelectElement} */ (document.getElementById('payment-frequency'));
+const $paymentTiming = /** @type {HTMLSelectElement} */ (document.getElementById('payment-timing'));
+const $inflationRate = /** @type {HTMLInputElement} */ (document.getElementById('inflation-rate'));
+const $rateSchedule = /** @type {HTMLInputElement} */ (document.getElementById('rate-schedule'));
+const $endingBalance = /** @type {HTMLInputElement} */ (document.getElementById('ending-balance'));
+const $managementFee = /** @type {HTMLInputElement} */ (document.getElementById('management-fee'));
+const $taxMode = /** @type {HTMLInputElement} */ (document.getElementById('tax-mode'));
+const $taxTable = /** @type {HTMLSelectElement} */ (document.getElementById('tax-table'));
+const $taxAge = /** @type {HTMLInputElement} */ (document.getElementById('tax-age'));
+const $netIncomeTarget = /** @type {HTMLInputElement} */ (document.getElementById('net-income-target'));
+const $livingAnnuityMode = /** @type {HTMLInputElement} */ (document.getElementById('living-annuity-mode'));
+const $drawDownRate = /** @type {HTMLInputElement} */ (document.getElementById('draw-down-rate'));
+const $minDrawDown = /** @type {HTMLInputElement} */ (document.getElementById('min-draw-down'));
+const $maxDrawDown = /** @type {HTMLInputElement} */ (document.getElementById('max-draw-down'));
+const $guardrailsMode = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-mode'));
+const $guardrailThreshold = /** @type {HTMLInputElement} */ (document.getElementById('guardrail-threshold'));
+const $guardrailAdjustment = /** @type {HTMLInputElement} */ (document.getElementById('guardrail-adjustment'));
+const $preservationEndYears = /** @type {HTMLInputElement} */ (document.getElementById('preservation-end-years'));
+const $maxIncomeIncrease = /** @type {HTMLInputElement} */ (document.getElementById('max-income-increase'));
+const $maxIncomeDecrease = /** @type {HTMLInputElement} */ (document.getElementById('max-income-decrease'));
+const $lifeMode = /** @type {HTMLInputElement} */ (document.getElementById('life-annuity-mode'));
+const $lifeSex = /** @type {HTMLSelectElement} */ (document.getElementById('life-sex'));
+const $lifeAge = /** @type {HTMLInputElement} */ (document.getElementById('life-age'));
+const $guaranteeYears = /** @type {HTMLInputElement} */ (document.getElementById('guarantee-years'));
+const $jointLifeMode = /** @type {HTMLInputElement} */ (document.getElementById('joint-life-mode'));
+const $jointSex = /** @type {HTMLSelectElement} */ (document.getElementById('joint-sex'));
+const $jointAge = /** @type {HTMLInputElement} */ (document.getElementById('joint-age'));
+const $survivorPercent = /** @type {HTMLInputElement} */ (document.getElementById('survivor-percent'));
+const $accumulationMode = /** @type {HTMLInputElement} */ (document.getElementById('accumulation-mode'));
+const $currentBalance = /** @type {HTMLInputElement} */ (document.getElementById('current-balance'));
+const $accumulationYears = /** @type {HTMLInputElement} */ (document.getElementById('accumulation-years'));
+const $monthlyContribution = /** @type {HTMLInputElement} */ (document.getElementById('monthly-contribution'));
+const $contributionIncrease = /** @type {HTMLInputElement} */ (document.getElementById('contribution-increase'));
+const $growthRate = /** @type {HTMLInputElement} */ (document.getElementById('growth-rate'));
+const $expectedIncome = /** @type {HTMLElement} */ (document.getElementById('expected-income'));
+const $expectedIncomeTitle = /** @type {HTMLElement} */ (document.getElementById('expected-income-title'));
+const $expectedIncomeChart = /** @type {HTMLCanvasElement} */ (document.getElementById('expected-income-chart'));
+const $adminFee = /** @type {HTMLInputElement} */ (document.getElementById('admin-fee'));
+const $initialFee = /** @type {HTMLInputElement} */ (document.getElementById('initial-fee'));
+const $cashFlowEvents = /** @type {HTMLElement} */ (document.getElementById('cash-flow-events'));
+const $addCashFlowEvent = /** @type {HTMLButtonElement} */ (document.getElementById('add-cash-flow-event'));
+const $cashFlowEventTemplate = /** @type {HTMLTemplateElement} */ (document.getElementById('cash-flow-event-template'));
+const $chartRealValues = /** @type {HTMLInputElement} */ (document.getElementById('chart-real-values'));
+const $calcTitle = /** @type {HTMLElement} */ (document.getElementById('calc-title'));
+const $calcTypeSelect = /** @type {HTMLElement} */ (document.getElementById('calc-type-select'));
+const $exportCsv = /** @type {HTMLButtonElement} */ (document.getElementById('export-csv'));
+const $exportXlsx = /** @type {HTMLButtonElement} */ (document.getElementById('export-xlsx'));
+const $exportJson = /** @type {HTMLButtonElement} */ (document.getElementById('export-json'));
+const $generateReport = /** @type {HTMLButtonElement} */ (document.getElementById('generate-report'));
+const $scenarioName = /** @type {HTMLInputElement} */ (document.getElementById('scenario-name'));
+const $saveScenario = /** @type {HTMLButtonElement} */ (document.getElementById('save-scenario'));
+const $scenarioComparison = /** @type {HTMLElement} */ (document.getElementById('scenario-comparison'));
+const $scenarioResults = /** @type {HTMLElement} */ (document.getElementById('scenario-results'));
+
+const $monteCarloMode = /** @type {HTMLInputElement} */ (document.getElementById('monte-carlo-mode'));
+const $expectedReturn = /** @type {HTMLInputElement} */ (document.getElementById('expected-return'));
+const $returnVolatility = /** @type {HTMLInputElement} */ (document.getElementById('return-volatility'));
+const $simulations = /** @type {HTMLInputElement} */ (document.getElementById('simulations'));
+const $randomSeed = /** @type {HTMLInputElement} */ (document.getElementById('random-seed'));
+const $currentAge = /** @type {HTMLInputElement} */ (document.getElementById('current-age'));
+const $monteCarloResults = /** @type {HTMLElement} */ (document.getElementById('monte-carlo-results'));
+const $monteCarloMain = /** @type {HTMLElement} */ (document.getElementById('monte-carlo-main'));
+const $monteCarloDetail = /** @type {HTMLElement} */ (document.getElementById('monte-carlo-detail'));
+
+const $backtestMode = /** @type {HTMLInputElement} */ (document.getElementById('backtest-mode'));
+const $backtestMarket = /** @type {HTMLSelectElement} */ (document.getElementById('backtest-market'));
+const $backtestStartYear = /** @type {HTMLInputElement} */ (document.getElementById('backtest-start-year'));
+const $backtestResults = /** @type {HTMLElement} */ (document.getElementById('backtest-results'));
+const $backtestMain = /** @type {HTMLElement} */ (document.getElementById('backtest-main'));
+const $backtestDetail = /** @type {HTMLElement} */ (document.getElementById('backtest-detail'));
+
+const $annuityReport = /** @type {HTMLElement} */ (document.getElementById('annuity-report'));
+const $reportDate = /** @type {HTMLElement} */ (document.getElementById('report-date'));
+const $reportInputs = /** @type {HTMLElement} */ (document.getElementById('report-inputs'));
+const $reportMain = /** @type {HTMLElement} */ (document.getElementById('report-main'));
+const $reportSmallA = /** @type {HTMLElement} */ (document.getElementById('report-small-A'));
+const $reportSmallB = /** @type {HTMLElement} */ (document.getElementById('report-small-B'));
+const $reportSmallC = /** @type {HTMLElement} */ (document.getElementById('report-small-C'));
+const $reportChart = /** @type {HTMLImageElement} */ (document.getElementById('report-chart'));
+const $reportScheduleHead = /** @type {HTMLElement} */ (document.getElementById('report-schedule-head'));
+const $reportSchedule = /** @type {HTMLElement} */ (document.getElementById('report-schedule'));
+
+const calcTypeParams = ['monthly-income', 'annuity-term', 'principal', 'interest-rate', 'annual-increase'];
+
+/** @type {Record<string, number>} */
+const compoundingPeriods = {
+    'daily': 365,
+    'monthly': 12,
+    'quarterly': 4,
+    'semi-annually': 2,
+    'annually': 1,
+    'continuously': Number.POSITIVE_INFINITY,
+};
+
+/** @type {Record<string, number>} */
+const paymentFrequencies = {
+    'weekly': 52,
+    'fortnightly': 26,
+    'monthly': 12,
+    'quarterly': 4,
+    'semi-annually': 2,
+    'annually': 1,
+};
+
+/** @type {Record<string, HTMLInputElement | HTMLSelectElement>} */
+const urlFieldParams = {
+    compounding: $compounding,
+    frequency: $paymentFrequency,
+    timing: $paymentTiming,
+    inflation: $inflationRate,
+    endbalance: $endingBalance,
+    fee: $managementFee,
+    adminfee: $adminFee,
+    initialfee: $initialFee,
+};
+
+/** @type {Record<string, string>} */
+const urlInputParams = {
+    principal: '$startingPrincipal',
+    term: '$annuityTerm',
+    rate: '$interestRate',
+    income: '$monthlyIncome',
+    increase: '$annualIncrease',
+};
 
 const calcInputs = /** @type {Record<number, ElementList>} */ ({
     0: {
@@ -838,9 +832,142 @@ const calcInputs = /** @type {Record<number, ElementList>} */ ({
         $annuityTerm: document.getElementById('annuity-term-3'),
         $monthlyIncome: document.getElementById('monthly-income-3'),
         $annualIncrease: document.getElementById('annual-increase-3'),
+    },
+    4: {
+        $startingPrincipal: document.getElementById('starting-principal-4'),
+        $annuityTerm: document.getElementById('annuity-term-4'),
+        $interestRate: document.getElementById('interest-rate-4'),
+        $monthlyIncome: document.getElementById('monthly-income-4'),
     }
 });
 
+/** @type {Record<string, string>} */
+const paramInputs = {
+    principal: '$startingPrincipal',
+    annuityTerm: '$annuityTerm',
+    interestRate: '$interestRate',
+    income: '$monthlyIncome',
+    annualIncrease: '$annualIncrease',
+};
+
+/**
+ * Inputs shared by every calculation type, by engine parameter name.
+ * @type {Record<string, HTMLElement>}
+ */
+const sharedParamInputs = {
+    rateSchedule: $rateSchedule,
+    endingBalance: $endingBalance,
+    cashFlows: $cashFlowEvents,
+    assetFee: $managementFee,
+    adminFee: $adminFee,
+    initialFee: $initialFee,
+    livingAnnuity: $drawDownRate,
+    drawDownRate: $drawDownRate,
+    drawDownBands: $minDrawDown,
+    guardrails: $guardrailsMode,
+    guardrailThreshold: $guardrailThreshold,
+    guardrailAdjustment: $guardrailAdjustment,
+    preservationEndYears: $preservationEndYears,
+    maxIncomeIncrease: $maxIncomeIncrease,
+    maxIncomeDecrease: $maxIncomeDecrease,
+    life: $lifeAge,
+    jointLife: $jointAge,
+    survivorPercent: $survivorPercent,
+    currentBalance: $currentBalance,
+    contribution: $monthlyContribution,
+    contributionIncrease: $contributionIncrease,
+    growthRate: $growthRate,
+    accumulationYears: $accumulationYears,
+    expectedReturn: $expectedReturn,
+    volatility: $returnVolatility,
+    simulations: $simulations,
+    startYear: $backtestStartYear,
+};
+
+/**
+ * Only written to the url while Monte Carlo mode is on.
+ * @type {Record<string, HTMLInputElement>}
+ */
+const urlMonteCarloParams = {
+    return: $expectedReturn,
+    volatility: $returnVolatility,
+    simulations: $simulations,
+    seed: $randomSeed,
+    age: $currentAge,
+};
+
+/**
+ * Only written to the url while income tax is deducted.
+ * @type {Record<string, HTMLInputElement | HTMLSelectElement>}
+ */
+const urlTaxParams = {
+    taxtable: $taxTable,
+    taxage: $taxAge,
+};
+
+/**
+ * Only written to the url while the income is drawn as a percentage of the balance.
+ * @type {Record<string, HTMLInputElement>}
+ */
+const urlLivingAnnuityParams = {
+    drawdown: $drawDownRate,
+    drawdownmin: $minDrawDown,
+    drawdownmax: $maxDrawDown,
+};
+
+/**
+ * Only written to the url while the income is adjusted with guardrails.
+ * @type {Record<string, HTMLInputElement>}
+ */
+const urlGuardrailParams = {
+    threshold: $guardrailThreshold,
+    adjustment: $guardrailAdjustment,
+    nocuts: $preservationEndYears,
+    maxrise: $maxIncomeIncrease,
+    maxfall: $maxIncomeDecrease,
+};
+
+/**
+ * Only written to the url while the annuity is paid for life.
+ * @type {Record<string, HTMLInputElement | HTMLSelectElement>}
+ */
+const urlLifeParams = {
+    sex: $lifeSex,
+    lifeage: $lifeAge,
+    guarantee: $guaranteeYears,
+};
+
+/**
+ * Only written to the url while a life annuity has a second annuitant.
+ * @type {Record<string, HTMLInputElement | HTMLSelectElement>}
+ */
+const urlJointLifeParams = {
+    jointsex: $jointSex,
+    jointage: $jointAge,
+    survivor: $survivorPercent,
+};
+
+/**
+ * Only written to the url while saving up before the payout.
+ * @type {Record<string, HTMLInputElement>}
+ */
+const urlAccumulationParams = {
+    balance: $currentBalance,
+    years: $accumulationYears,
+    contribution: $monthlyContribution,
+    contribincrease: $contributionIncrease,
+    growth: $growthRate,
+};
+
+/**
+ * Only written to the url while backtesting is on.
+ * @type {Record<string, HTMLInputElement | HTMLSelectElement>}
+ */
+const urlBacktestParams = {
+    market: $backtestMarket,
+    start: $backtestStartYear,
+};
+
 const calcOutputs = /** @type {Record<number, ElementList>} */ ({
     0: {
         $main: document.getElementById('result-main-0'),
@@ -866,6 +993,12 @@ const calcOutputs = /** @type {Record<number, ElementList>} */ ({
         $smallB: document.getElementById('result-small-B-3'),
         $smallC: document.getElementById('result-small-C-3'),
     },
+    4: {
+        $main: document.getElementById('result-main-4'),
+        $smallA: document.getElementById('result-small-A-4'),
+        $smallB: document.getElementById('result-small-B-4'),
+        $smallC: document.getElementById('result-small-C-4'),
+    },
 })
 
 const input = {
@@ -1065,61 +1198,498 @@ const input = {
     }
 }
 
-/** @param {ResultList} annualResults */
-const displayAnnualResultsTable = (annualResults) => {
-    let annualResultsHtml = '';
-    annualResults.forEach((r, index) => {
-        annualResultsHtml += `<tr>
-            <td class="text-center">${index + 1}</td>
-            <td>${currencyFormat(r.startBalance)}</td>
-            <td>${currencyFormat(r.interestPayment)}</td>
-            <td>${currencyFormat(r.withdrawal)}</td>
-            <td>${currencyFormat(r.endBalance)}</td>
-        </tr>`;
-    });
-
-    $annualResultsTable.innerHTML = annualResultsHtml;
-}
-
-/** @param {ResultList} monthlyResults */
-const displayMonthlyResultsTable = (monthlyResults) => {
-    let monthlyResultsHtml = '';
-    monthlyResults.forEach((item, index) => {
-        monthlyResultsHtml += `<tr>
-            <td class="text-center">${index + 1}</td>
-            <td>${currencyFormat(item.startBalance)}</td>
-            <td>${currencyFormat(item.interestPayment)}</td>
-            <td>${currencyFormat(item.withdrawal)}</td>
-            <td>${currencyFormat(item.endBalance)}</td>
-        </tr>`;
-
-        if ((index + 1) % 12 === 0 || (index + 1) === monthlyResults.length) {
-            const year = Math.ceil((index + 1) / 12);
-            const title = `Year #${year} End`;
-            monthlyResultsHtml += `<th class="white text-center" colspan="6">${title}</th>`;
-        }
-    });
+/** @type {Record<keyof typeof GUARDRAIL_RULES, string>} */
+const guardrailRuleLabels = {
+    skippedIncrease: 'Increase skipped',
+    capitalPreservation: 'Income cut',
+    prosperity: 'Income raised',
+    increaseCapped: 'Rise capped',
+    decreaseFloored: 'Fall limited',
+};
 
-    $monthlyResultsTable.innerHTML = monthlyResultsHtml;
-}
+/**
+ * e.g. "Increase skipped, Income cut", or nothing when the income followed the annual increase.
+ * @param {number} rules
+ * @returns {string}
+ */
+const describeGuardrailRules = (rules) => Object.entries(GUARDRAIL_RULES)
+    .filter(([, flag]) => rules & flag)
+    .map(([rule]) => guardrailRuleLabels[/** @type {keyof typeof GUARDRAIL_RULES} */ (rule)])
+    .join(', ');
 
 /**
- * @param {ResultList} annualResults
- * @param {Chart} primaryChart
+ * Withdrawals are listed before interest when payments are made in advance.
+ * A life annuity's withdrawals are what is expected to be paid, allowing for the chance of death.
+ * @param {AnnuitySummary} summary
+ * @returns {ScheduleColumn[]}
  */
-const displayPrimaryResultsChart = (annualResults, primaryChart) => {
-    primaryChart.data.labels = annualResults.map((_, idx) => idx + 1);
-    primaryChart.data.datasets[0].data = annualResults.map(it => it.endBalance);
-    primaryChart.data.datasets[1].data = annualResults.map(it => it.totalInterest);
-    primaryChart.data.datasets[2].data = annualResults.map(it => it.totalWithdrawn);
+const getScheduleColumns = (summary) => {
+    const interest = [{ title: 'INTEREST', key: 'interestPayment' }];
+    const withdrawal = [{ title: summary.lifeExpectancy !== null ? 'EXPECTED WITHDRAWALS' : 'WITHDRAWALS', key: 'withdrawal' }];
+    if (summary.taxTable) {
+        withdrawal.push({ title: 'TAX', key: 'tax' }, { title: 'NET INCOME', key: 'netWithdrawal' });
+    }
 
-    primaryChart.reset();
-    primaryChart.update();
-}
+    const columns = [
+        { title: 'BEGINNING BALANCE', key: 'startBalance' },
+        ...(summary.paymentTiming === 'beginning' ? [...withdrawal, ...interest] : [...interest, ...withdrawal]),
+        { title: 'ENDING BALANCE', key: 'endBalance' },
+    ];
 
-const calculateInputs = () => {
-    const calcTypeIndex = $calculationType.selectedIndex;
-    const calcFunc = getCalcFuncFromIndex(calcTypeIndex);
+    if (summary.totalFees > 0) {
+        columns.splice(columns.length - 1, 0, { title: 'FEES', key: 'fee' });
+    }
+
+    if (summary.cashFlows.length) {
+        columns.splice(1, 0, { title: 'CASH FLOWS', key: 'cashFlow' });
+    }
+
+    if (summary.accumulation) {
+        columns.splice(1, 0, { title: 'CONTRIBUTIONS', key: 'contribution' });
+    }
+
+    if (summary.inflationRate !== 0) {
+        columns.push({ title: "REAL BALANCE (TODAY'S MONEY)", key: 'realEndBalance' });
+    }
+
+    if (summary.guardrails) {
+        columns.push({ title: 'GUARDRAIL', key: 'guardrailRules', format: describeGuardrailRules });
+    }
+
+    return columns;
+}
+
+/**
+ * @param {HTMLElement} $head
+ * @param {ScheduleColumn[]} columns
+ */
+const displayResultsTableHead = ($head, columns) => {
+    $head.innerHTML = `<th class="white text-center">№</th>`
+        + columns.map(column => `<th class="white">${column.title}</th>`).join('');
+}
+
+/**
+ * @param {Record<string, number>} item
+ * @param {number} index
+ * @param {ScheduleColumn[]} columns
+ */
+const getResultsTableRow = (item, index, columns) => `<tr>
+            <td class="text-center">${index + 1}</td>
+            ${columns.map(column => `<td>${column.format ? column.format(item[column.key]) : currencyFormat(item[column.key])}</td>`).join('')}
+        </tr>`;
+
+/**
+ * @param {ResultList} annualResults
+ * @param {ScheduleColumn[]} columns
+ */
+const displayAnnualResultsTable = (annualResults, columns) => {
+    let annualResultsHtml = '';
+    annualResults.forEach((r, index) => {
+        annualResultsHtml += getResultsTableRow(r, index, columns);
+    });
+
+    displayResultsTableHead($annualResultsHead, columns);
+    $annualResultsTable.innerHTML = annualResultsHtml;
+}
+
+/**
+ * @param {ResultList} monthlyResults
+ * @param {number} paymentFrequency
+ * @param {ScheduleColumn[]} columns
+ */
+const displayMonthlyResultsTable = (monthlyResults, paymentFrequency, columns) => {
+    let monthlyResultsHtml = '';
+    monthlyResults.forEach((item, index) => {
+        monthlyResultsHtml += getResultsTableRow(item, index, columns);
+
+        if ((index + 1) % paymentFrequency === 0 || (index + 1) === monthlyResults.length) {
+            const year = Math.ceil((index + 1) / paymentFrequency);
+            const title = `Year #${year} End`;
+            monthlyResultsHtml += `<th class="white text-center" colspan="${columns.length + 1}">${title}</th>`;
+        }
+    });
+
+    displayResultsTableHead($monthlyResultsHead, columns);
+    $monthlyResultsTable.innerHTML = monthlyResultsHtml;
+}
+
+/**
+ * Guardrail incomes do not follow a fixed escalation, so each year's income is plotted on its own axis.
+ * @param {ResultList} annualResults
+ * @param {AnnuitySummary} summary
+ * @param {Chart} primaryChart
+ */
+const displayPrimaryResultsChart = (annualResults, summary, primaryChart) => {
+    const real = $chartRealValues.checked;
+    const years = Math.max(annualResults.length, ...scenarios.map(scenario => scenario.endBalances.length));
+    primaryChart.data.labels = Array.from({ length: years }, (_, idx) => idx + 1);
+    primaryChart.data.datasets[0].data = annualResults.map(it => real ? it.realEndBalance : it.endBalance);
+    primaryChart.data.datasets[1].data = annualResults.map(it => real ? it.totalRealInterest : it.totalInterest);
+    primaryChart.data.datasets[2].data = annualResults.map(it => real ? it.totalRealWithdrawn : it.totalWithdrawn);
+
+    primaryChart.data.datasets.length = PRIMARY_DATASET_COUNT;
+    scenarios.forEach((scenario, index) => {
+        primaryChart.data.datasets.push({
+            label: scenario.name,
+            data: real ? scenario.realEndBalances : scenario.endBalances,
+            stack: `scenario-${index}`,
+            backgroundColor: scenario.color,
+            borderColor: scenario.color,
+            borderDash: [6, 4],
+            pointRadius: 0,
+        });
+    });
+    if (monteCarloProjection) {
+        const { result, inflationRate } = monteCarloProjection;
+        /**
+         * @param {'p10' | 'p50' | 'p90'} key
+         * @returns {number[]}
+         */
+        const getPercentileLine = (key) => result.balancePercentiles
+            .map((percentiles, year) => real ? percentiles[key] / Math.pow(1 + inflationRate / 100, year + 1) : percentiles[key]);
+
+        primaryChart.data.datasets.push({
+            label: '90th Percentile Balance',
+            data: getPercentileLine('p90'),
+            stack: 'monte-carlo-p90',
+            backgroundColor: monteCarloFanColor,
+            borderColor: colors.secondary,
+            borderWidth: 1,
+            pointRadius: 0,
+        }, {
+            label: '10th Percentile Balance',
+            data: getPercentileLine('p10'),
+            stack: 'monte-carlo-p10',
+            backgroundColor: monteCarloFanColor,
+            borderColor: colors.secondary,
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: '-1',
+        }, {
+            label: 'Median Balance',
+            data: getPercentileLine('p50'),
+            stack: 'monte-carlo-p50',
+            backgroundColor: colors.secondary,
+            borderColor: colors.secondary,
+            borderDash: [2, 2],
+            pointRadius: 0,
+        });
+    }
+    const showIncome = summary.guardrails !== null;
+    if (showIncome) {
+        primaryChart.data.datasets.push({
+            label: 'Annual Income',
+            data: annualResults.map(it => real ? it.realWithdrawal : it.withdrawal),
+            stack: 'income',
+            yAxisID: 'income',
+            backgroundColor: incomeLineColor,
+            borderColor: incomeLineColor,
+            pointRadius: 0,
+        });
+    }
+    /** @param {CashFlowEvent['type']} type */
+    const getMarkers = (type) => {
+        const events = summary.cashFlows.filter(event => event.type === type);
+        const cashFlowYears = getCashFlowYears(events, annualResults.length, summary.paymentFrequency, summary.accumulationYears);
+        return annualResults.map((it, year) => cashFlowYears[year] ? (real ? it.realEndBalance : it.endBalance) : null);
+    };
+    const depositMarkers = getMarkers('deposit');
+    const withdrawalMarkers = getMarkers('withdrawal');
+    const showCashFlows = [...depositMarkers, ...withdrawalMarkers].some(marker => marker !== null);
+    if (showCashFlows) {
+        primaryChart.data.datasets.push({
+            label: 'Lump-Sum Deposits',
+            data: depositMarkers,
+            stack: 'cash-flow-deposits',
+            backgroundColor: cashFlowColors.deposit,
+            borderColor: cashFlowColors.deposit,
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 7,
+        }, {
+            label: 'Lump-Sum Withdrawals',
+            data: withdrawalMarkers,
+            stack: 'cash-flow-withdrawals',
+            backgroundColor: cashFlowColors.withdrawal,
+            borderColor: cashFlowColors.withdrawal,
+            showLine: false,
+            pointStyle: 'triangle',
+            rotation: 180,
+            pointRadius: 7,
+        });
+    }
+    if (backtestResult) {
+        const { worst, median, best, paths } = backtestResult;
+        const shownPaths = paths.length > 1 ? { worst, median, best } : { median };
+        Object.entries(shownPaths).forEach(([outcome, path]) => {
+            const color = backtestColors[/** @type {keyof typeof backtestColors} */ (outcome)];
+            primaryChart.data.datasets.push({
+                label: paths.length > 1 ? `${outcome[0].toUpperCase()}${outcome.slice(1)} History (${path.startYear})` : `History (${path.startYear})`,
+                data: real ? path.realAnnualBalances : path.annualBalances,
+                stack: `backtest-${outcome}`,
+                backgroundColor: color,
+                borderColor: color,
+                borderDash: [4, 4],
+                pointRadius: 0,
+            });
+        });
+    }
+    primaryChart.options.plugins.legend.display = scenarios.length > 0 || monteCarloProjection !== null || backtestResult !== null
+        || showCashFlows || showIncome;
+
+    // Scenario datasets need their controllers built before the animation can be reset.
+    primaryChart.update('none');
+    primaryChart.reset();
+    primaryChart.update();
+}
+
+/**
+ * Plots the income path of a living annuity, which follows the balance, or splits each year's expected
+ * withdrawals of a life annuity into the full income and the survivor income.
+ * @param {ResultList} periodResults
+ * @param {AnnuitySummary} summary
+ * @param {?LifeSettings} life
+ */
+const displayExpectedIncomeChart = (periodResults, summary, life) => {
+    const { paymentFrequency, paymentTiming, accumulationYears, livingAnnuity } = summary;
+    $expectedIncome.classList.toggle('hidden', !life && !livingAnnuity);
+    if ((!life && !livingAnnuity) || !expectedIncomeChart) return;
+
+    const { full, survivor } = life
+        ? getExpectedPayments(life, paymentFrequency, paymentTiming)
+        : { full: [], survivor: [] };
+    const key = $chartRealValues.checked ? 'realWithdrawal' : 'withdrawal';
+    const payoutResults = periodResults.slice(accumulationYears * paymentFrequency);
+
+    /** @type {number[]} */
+    const fullIncome = [];
+    /** @type {number[]} */
+    const survivorIncome = [];
+    payoutResults.forEach((item, index) => {
+        const year = Math.floor(index / paymentFrequency);
+        const weight = life ? full[index] + survivor[index] : 0;
+        const survivorShare = weight > 0 ? survivor[index] / weight : 0;
+        fullIncome[year] = (fullIncome[year] ?? 0) + item[key] * (1 - survivorShare);
+        survivorIncome[year] = (survivorIncome[year] ?? 0) + item[key] * survivorShare;
+    });
+
+    const [fullDataset, survivorDataset] = expectedIncomeChart.data.datasets;
+    $expectedIncomeTitle.textContent = life ? 'Expected Income by Year' : 'Income by Year';
+    expectedIncomeChart.data.labels = fullIncome.map((_, idx) => accumulationYears + idx + 1);
+    fullDataset.label = !life ? 'Income' : life.joint ? 'Full Income' : 'Expected Income';
+    fullDataset.data = fullIncome;
+    survivorDataset.data = survivorIncome;
+    survivorDataset.hidden = !life?.joint;
+    expectedIncomeChart.update();
+}
+
+/**
+ * @param {number} calcTypeIndex
+ * @param {AnnuityError} error
+ * @returns {string[]}
+ */
+const getErrorInputIds = (calcTypeIndex, error) => error.fields
+    .map(field => calcInputs[calcTypeIndex][paramInputs[field]]?.id ?? sharedParamInputs[field]?.id)
+    .filter(id => id !== undefined);
+
+/**
+ * Errors from the Monte Carlo and backtest projections are about their own settings,
+ * so the engine's message is shown as is.
+ * @param {unknown} error
+ */
+const showProjectionError = (error) => {
+    const message = error instanceof Error ? error.message : CRITICAL_ERROR_MESSAGE;
+    const inputIds = error instanceof AnnuityError ? getErrorInputIds($calculationType.selectedIndex, error) : [];
+    input.error(inputIds, message, true);
+}
+
+/**
+ * e.g. "Try a monthly income of at most R 5,000.00."
+ * @param {FeasibleValue} nearest
+ * @returns {string}
+ */
+const describeFeasibleValue = ({ field, bound, value }) => {
+    const labels = {
+        income: `${getPaymentFrequencyLabel(paymentFrequencies[$paymentFrequency.value]).toLowerCase()} income`,
+        principal: 'principal',
+        endingBalance: 'ending balance',
+    };
+    const label = labels[/** @type {keyof typeof labels} */ (field)] ?? field;
+    const article = /^[aeiou]/.test(label) ? 'an' : 'a';
+    return `Try ${article} ${label} of ${bound === 'max' ? 'at most' : 'at least'} ${currencyFormat(value, ' ')}.`;
+}
+
+/**
+ * @param {number} calcTypeIndex
+ * @param {unknown} error
+ */
+const showCalculationError = (calcTypeIndex, error) => {
+    if (!(error instanceof AnnuityError)) return;
+
+    const inputIds = getErrorInputIds(calcTypeIndex, error);
+    let message = error instanceof InvalidParametersError
+        ? CRITICAL_ERROR_MESSAGE
+        : error.message;
+    if (error instanceof CalculationFailedError && error.solver && !error.solver.converged) {
+        message += error.solver.iterations
+            ? ` (no solution found after ${error.solver.iterations} iterations)`
+            : ' (no solution exists in the supported range)';
+    }
+    if (error instanceof InfeasibleParametersError) {
+        message += ` ${describeFeasibleValue(error.nearest)}`;
+    }
+
+    input.error(inputIds, message, true);
+}
+
+/** @returns {MonteCarloSettings} */
+const getMonteCarloSettings = () => ({
+    expectedReturn: input.get($expectedReturn.id).gt(-100, 'The expected return must be greater than -100%.').val() ?? 0,
+    volatility: input.get($returnVolatility.id).gte(0, 'The volatility cannot be negative.').val() ?? 0,
+    simulations: Math.round(input.get($simulations.id)
+        .gt(0, 'The number of simulations must be greater than 0.')
+        .lte(MAX_SIMULATIONS, `The number of simulations cannot be more than ${MAX_SIMULATIONS}.`)
+        .val() ?? 0),
+    seed: input.get($randomSeed.id).val() ?? DEFAULT_SEED,
+    currentAge: input.get($currentAge.id).optional().gt(0, 'The current age must be greater than 0.').val(),
+});
+
+/**
+ * The schedule replaces the fixed interest rate, except when solving for the rate.
+ * @param {number} calcTypeIndex
+ * @returns {?RateSchedule}
+ */
+const getRateSchedule = (calcTypeIndex) => {
+    if (calcTypeIndex === 3) return null;
+
+    try {
+        return parseRateSchedule(input.get($rateSchedule.id).raw());
+    } catch (error) {
+        input.error($rateSchedule.id, error instanceof SyntaxError ? error.message : CRITICAL_ERROR_MESSAGE);
+        return null;
+    }
+}
+
+/** @returns {CashFlowEvent[]} */
+const getCashFlowEvents = () => [...$cashFlowEvents.querySelectorAll('.cash-flow-events__item')].map(($item) => {
+    /** @param {string} field */
+    const getId = (field) => /** @type {HTMLElement} */ ($item.querySelector(`[data-field="${field}"]`)).id;
+
+    return {
+        type: /** @type {HTMLSelectElement} */ ($item.querySelector('[data-field="type"]')).value === 'deposit' ? 'deposit' : 'withdrawal',
+        month: input.get(getId('month')).natural('The cash-flow month must be a whole number from 1.').val() ?? 1,
+        amount: input.get(getId('amount')).gt(0, 'The cash-flow amount must be greater than 0.').val() ?? 0,
+        repeatYears: input.get(getId('repeatYears')).optional().natural('Cash-flow events can only repeat every whole number of years.').val() ?? 0,
+        escalation: input.get(getId('escalation')).optional().gt(-100, 'The cash-flow escalation must be greater than -100%.').val() ?? 0,
+    };
+});
+
+/** @returns {?TaxSettings} */
+const getTaxSettings = () => {
+    const table = taxTables?.[$taxTable.value];
+    if (!table) return null;
+
+    return {
+        table,
+        age: input.get($taxAge.id).gt(0, 'The age at start must be greater than 0.').val() ?? 0,
+    };
+}
+
+/** @returns {?LifeSettings} */
+const getLifeSettings = () => {
+    const table = mortalityTables?.[$lifeSex.value];
+    if (!table) return null;
+
+    return {
+        table,
+        age: input.get($lifeAge.id)
+            .natural('The age at start must be a whole number of years.')
+            .lt(table.qx.length, `The age at start must be less than ${table.qx.length}.`)
+            .val() ?? 0,
+        guaranteeYears: input.get($guaranteeYears.id).optional().whole('The guarantee period must be a whole number of years.').val() ?? 0,
+        joint: $jointLifeMode.checked ? getJointLife() : null,
+    };
+}
+
+/** @returns {?JointLife} */
+const getJointLife = () => {
+    const table = mortalityTables?.[$jointSex.value];
+    if (!table) return null;
+
+    return {
+        table,
+        age: input.get($jointAge.id)
+            .natural("The second annuitant's age must be a whole number of years.")
+            .lt(table.qx.length, `The second annuitant's age must be less than ${table.qx.length}.`)
+            .val() ?? 0,
+        survivorPercent: input.get($survivorPercent.id).percentage('The survivor income must be from 0% to 100%.').val() ?? 0,
+    };
+}
+
+/** @returns {LivingAnnuitySettings} */
+const getLivingAnnuitySettings = () => {
+    const minDrawDown = input.get($minDrawDown.id).gt(0, 'The minimum draw-down rate must be greater than 0%.').val() ?? 0;
+    const maxDrawDown = input.get($maxDrawDown.id)
+        .gte(minDrawDown, 'The maximum draw-down rate cannot be less than the minimum.')
+        .lte(100, 'The maximum draw-down rate cannot be more than 100%.')
+        .val() ?? 0;
+    return {
+        drawDownRate: input.get($drawDownRate.id)
+            .gte(minDrawDown, `The draw-down rate must be at least ${minDrawDown}% of the balance.`)
+            .lte(maxDrawDown, `The draw-down rate cannot be more than ${maxDrawDown}% of the balance.`)
+            .val() ?? 0,
+        minDrawDown,
+        maxDrawDown,
+    };
+}
+
+/** @returns {GuardrailSettings} */
+const getGuardrailSettings = () => ({
+    threshold: input.get($guardrailThreshold.id)
+        .gt(0, 'The guardrail threshold must be greater than 0%.')
+        .lt(100, 'The guardrail threshold must be less than 100%.')
+        .val() ?? 0,
+    adjustment: input.get($guardrailAdjustment.id)
+        .gt(0, 'The guardrail adjustment must be greater than 0%.')
+        .lt(100, 'The guardrail adjustment must be less than 100%.')
+        .val() ?? 0,
+    preservationEndYears: input.get($preservationEndYears.id).optional()
+        .whole('The income can only stop being cut a whole number of years before the end.')
+        .val() ?? DEFAULT_PRESERVATION_END_YEARS,
+    maxIncrease: input.get($maxIncomeIncrease.id).optional().gte(0, 'The largest yearly rise cannot be negative.').val(),
+    maxDecrease: input.get($maxIncomeDecrease.id).optional()
+        .gte(0, 'The largest yearly fall cannot be negative.')
+        .lt(100, 'The largest yearly fall must be less than 100%.')
+        .val(),
+});
+
+/**
+ * The contribution is left at 0 when it is what is being solved for.
+ * @param {number} calcTypeIndex
+ * @returns {AccumulationSettings}
+ */
+const getAccumulationSettings = (calcTypeIndex) => ({
+    currentBalance: input.get($currentBalance.id).optional().gte(0, 'The current balance cannot be negative.').val() ?? 0,
+    contribution: calcTypeIndex === 2
+        ? 0
+        : input.get($monthlyContribution.id).optional().gte(0, 'The monthly contribution cannot be negative.').val() ?? 0,
+    contributionIncrease: input.get($contributionIncrease.id).optional()
+        .gt(-100, 'The contribution increase must be greater than -100%.')
+        .val() ?? 0,
+    growthRate: input.get($growthRate.id).gt(-100, 'The growth rate must be greater than -100%.').val() ?? 0,
+    years: input.get($accumulationYears.id).natural('The years until retirement must be a whole number from 1.').val() ?? 0,
+});
+
+/** @returns {BacktestSettings} */
+const getBacktestSettings = () => ({
+    market: $backtestMarket.value,
+    startYear: input.get($backtestStartYear.id).optional().gt(0, 'The start year must be a calendar year, e.g. 1995.').val(),
+});
+
+/** @returns {AnnuityResult & { monteCarloSettings: ?MonteCarloSettings, backtestSettings: ?BacktestSettings, unprojected: ?string, tax: ?TaxSettings, life: ?LifeSettings }} */
+const calculateInputs = () => {
+    const calcTypeIndex = $calculationType.selectedIndex;
+    let calcFunc = getCalcFuncFromIndex(calcTypeIndex);
     const {
         $startingPrincipal,
         $annuityTerm,
@@ -1132,29 +1702,93 @@ const calculateInputs = () => {
     const principal = input.get($startingPrincipal?.id).val();
     const annuityTerm = input.get($annuityTerm?.id).val();
     const interestRate = input.get($interestRate?.id).val();
+    const rateSchedule = getRateSchedule(calcTypeIndex);
+    const cashFlows = getCashFlowEvents();
+    const assetFee = input.get($managementFee.id).optional()
+        .gte(0, 'The management fee cannot be negative.')
+        .lt(100, 'The management fee must be less than 100%.')
+        .val() ?? 0;
+    const adminFee = input.get($adminFee.id).optional().gte(0, 'The admin fee cannot be negative.').val() ?? 0;
+    const initialFee = input.get($initialFee.id).optional()
+        .gte(0, 'The initial fee cannot be negative.')
+        .lt(100, 'The initial fee must be less than 100%.')
+        .val() ?? 0;
     const monthlyIncome = input.get($monthlyIncome?.id).val();
-    const annualIncrease = input.get($annualIncrease?.id).val();
-
-    const compound = 12;
+    const annualIncrease = input.get($annualIncrease?.id).gt(-100, 'The annual increase must be greater than -100%.').val();
+
+    const compound = compoundingPeriods[$compounding.value];
+    const paymentFrequency = paymentFrequencies[$paymentFrequency.value];
+    const paymentTiming = /** @type {PaymentTiming} */ ($paymentTiming.value);
+    const inflationRate = input.get($inflationRate.id).optional().gt(-100, 'The inflation rate must be greater than -100%.').val() ?? 0;
+    const tax = $taxMode.checked ? getTaxSettings() : null;
+    const life = $lifeMode.checked ? getLifeSettings() : null;
+    const accumulation = $accumulationMode.checked ? getAccumulationSettings(calcTypeIndex) : null;
+    const livingAnnuity = calcTypeIndex === 0 && $livingAnnuityMode.checked ? getLivingAnnuitySettings() : null;
+    if (life && livingAnnuity) input.error($livingAnnuityMode.id, 'A living annuity cannot also be paid for life.');
+    // Guardrails need a term to cut the income over, and a living annuity sets its own income.
+    const guardrails = calcTypeIndex !== 1 && $guardrailsMode.checked && !livingAnnuity ? getGuardrailSettings() : null;
+    if (life && guardrails) input.error($guardrailsMode.id, 'Guardrails cannot be applied to an income paid for life.');
+    // A life annuity has no end of the term to leave a balance at, and a living annuity leaves what its draw-down rate leaves.
+    const endingBalance = life || livingAnnuity
+        ? 0
+        : input.get($endingBalance.id).optional().gte(0, 'The ending balance cannot be negative.').val() ?? 0;
+    // The projections cover a fixed income from today, with no way of pooling mortality or of adjusting the income.
+    const unprojected = life ? 'an income paid for life'
+        : accumulation ? 'an accumulation phase'
+        : livingAnnuity ? 'a living annuity'
+        : guardrails ? 'guardrails'
+        : null;
+    const projected = unprojected === null;
+    const monteCarloSettings = $monteCarloMode.checked && projected ? getMonteCarloSettings() : null;
+    const backtestSettings = $backtestMode.checked && projected ? getBacktestSettings() : null;
 
     if (!input.valid()) throw new Error("Invalid State");
 
-    const {
-        outputResults: {
-            main,
-            smallA,
-            smallB,
-            smallC
-        },
-        calculationResults
-    } = calcFunc(
+    /** @type {AnnuityParams} */
+    const params = {
         principal,
         annuityTerm,
         interestRate,
+        rateSchedule,
         compound,
-        monthlyIncome,
-        annualIncrease
-    );
+        paymentFrequency,
+        paymentTiming,
+        income: monthlyIncome,
+        annualIncrease,
+        inflationRate,
+        endingBalance,
+        livingAnnuity,
+        guardrails,
+        cashFlows,
+        assetFee,
+        adminFee,
+        initialFee,
+        tax,
+        life,
+        accumulation
+    };
+    if (calcTypeIndex === 2 && tax && $netIncomeTarget.checked) {
+        calcFunc = calculateStartingPrincipalForNetIncome;
+    }
+    if (calcTypeIndex === 2 && accumulation) {
+        const principalFunc = calcFunc;
+        calcFunc = (params) => calculateRequiredContribution(params, principalFunc);
+    }
+
+    let result;
+    try {
+        result = calcFunc(params);
+    } catch (error) {
+        showCalculationError(calcTypeIndex, error);
+        throw error;
+    }
+
+    const {
+        main,
+        smallA,
+        smallB,
+        smallC
+    } = getOutputResults(calcTypeIndex, result.summary);
 
     const {
         $main,
@@ -1168,19 +1802,584 @@ const calculateInputs = () => {
     $smallB && ($smallB.innerHTML = smallB);
     $smallC && ($smallC.innerHTML = smallC)
 
-    return calculationResults;
+    return { ...result, monteCarloSettings, backtestSettings, unprojected, tax, life };
 }
 
 /**
  * @param {Chart} primaryChart
  */
 const runApp = (primaryChart) => {
-    const monthlyResults = calculateInputs();
-    const annualResults = getAnnualResults(monthlyResults);
+    const { calculationResults: periodResults, summary, monteCarloSettings, backtestSettings, unprojected, tax, life } = calculateInputs();
+    const { paymentFrequency, accumulationYears } = summary;
+    // The tax age is the age when the payout starts, after any accumulation phase.
+    const annualResults = getAnnualResults(periodResults, paymentFrequency, tax && { ...tax, age: tax.age - accumulationYears });
+    const calculationResults = tax ? getPeriodTaxResults(periodResults, annualResults, paymentFrequency) : periodResults;
+    const columns = getScheduleColumns(summary);
+
+    monteCarloProjection = null;
+    backtestResult = null;
+    displayMonthlyResultsTable(calculationResults, paymentFrequency, columns);
+    displayAnnualResultsTable(annualResults, columns);
+    displayPrimaryResultsChart(annualResults, summary, primaryChart);
+    displayExpectedIncomeChart(periodResults, summary, life);
+    displayScenarioTable();
+
+    lastCalculation = {
+        calcTypeIndex: $calculationType.selectedIndex,
+        calculationResults,
+        annualResults,
+        summary,
+        columns,
+    };
+
+    $monteCarloResults.classList.toggle('hidden', !$monteCarloMode.checked);
+    if (monteCarloSettings) {
+        runMonteCarloProjection(summary, monteCarloSettings, primaryChart);
+    } else if ($monteCarloMode.checked) {
+        $monteCarloMain.textContent = `Monte Carlo projections are not available with ${unprojected}`;
+        $monteCarloDetail.textContent = '';
+    }
 
-    displayMonthlyResultsTable(monthlyResults);
-    displayAnnualResultsTable(annualResults);
-    displayPrimaryResultsChart(annualResults, primaryChart);
+    $backtestResults.classList.toggle('hidden', !$backtestMode.checked);
+    if (backtestSettings) {
+        runHistoricalBacktest(summary, backtestSettings, primaryChart);
+    } else if ($backtestMode.checked) {
+        $backtestMain.textContent = `Historical backtests are not available with ${unprojected}`;
+        $backtestDetail.textContent = '';
+    }
+}
+
+/** @returns {Promise<Record<string, ReturnSeries>>} */
+const loadHistoricalReturns = () => {
+    historicalReturns ??= fetch(new URL('../data/historical-returns.json', import.meta.url))
+        .then(response => {
+            if (!response.ok) throw new Error(`Historical returns could not be loaded (${response.status})`);
+            return response.json();
+        })
+        .then(data => data.markets)
+        .catch(error => {
+            historicalReturns = null;
+            throw error;
+        });
+    return historicalReturns;
+}
+
+/**
+ * @param {AnnuitySummary} summary
+ * @param {BacktestSettings} settings
+ * @param {Chart} primaryChart
+ */
+const runHistoricalBacktest = (summary, settings, primaryChart) => {
+    const calculation = lastCalculation;
+    const paymentFrequencyLabel = getPaymentFrequencyLabel(summary.paymentFrequency);
+
+    $backtestMain.textContent = 'Loading market history...';
+    $backtestDetail.textContent = '';
+
+    loadHistoricalReturns().then(markets => {
+        if (lastCalculation !== calculation) return;
+
+        const series = markets[settings.market];
+        // A sustainable income has no term, so it is replayed over as much history as there is from the start year.
+        const historyYears = series.returns.length - (settings.startYear ?? series.startYear) + series.startYear;
+        const annuityTerm = summary.perpetual ? Math.min(summary.annuityTerm, Math.max(1, historyYears)) : summary.annuityTerm;
+        if (!getAvailableStartYears(series, annuityTerm).length) {
+            $backtestMain.textContent = `The ${series.name} history covers ${series.returns.length} years, too few to backtest a ${Math.ceil(annuityTerm)} year term`;
+            return;
+        }
+
+        const result = runBacktest({
+            principal: summary.principal,
+            income: summary.income,
+            annualIncrease: summary.annualIncrease,
+            annuityTerm,
+            paymentFrequency: summary.paymentFrequency,
+            paymentTiming: summary.paymentTiming,
+        }, series, settings.startYear);
+
+        /** @param {import('./engine/backtest.js').BacktestPath} path */
+        const describePath = (path) => path.depleted
+            ? `${path.startYear} start, the money ran out after ${path.yearsLasted.toFixed(1)} years`
+            : `${path.startYear} start, ${currencyFormat(path.endBalance)} left (${currencyFormat(path.realEndBalance)} in ${path.startYear} money)`;
+
+        const { paths, worst, median, best } = result;
+        $backtestMain.innerHTML = `Historically Safe Starting ${paymentFrequencyLabel} Income: ${currencyFormat(result.safeIncome)}`
+            + (paths.length > 1 ? ` <br /> Limited by the ${result.safeIncomeStartYear} start` : '');
+        $backtestDetail.innerHTML = paths.length > 1
+            ? `Worst: ${describePath(worst)} <br /> Median: ${describePath(median)} <br /> Best: ${describePath(best)}`
+            + ` <br /> Lasted the full term in ${(result.successRate * 100).toFixed(1)}% of ${paths.length} periods starting ${paths.reduce((min, path) => Math.min(min, path.startYear), Infinity)} to ${paths.reduce((max, path) => Math.max(max, path.startYear), 0)}`
+            : describePath(worst);
+        $backtestDetail.innerHTML += ` <br /> ${series.name}, annual total returns`;
+        if (summary.perpetual) $backtestDetail.innerHTML += `, over ${annuityTerm} years as the income has no end`;
+
+        backtestResult = result;
+        displayPrimaryResultsChart(calculation.annualResults, calculation.summary, primaryChart);
+    }).catch(error => {
+        if (lastCalculation !== calculation) return;
+        $backtestResults.classList.add('hidden');
+        showProjectionError(error);
+    });
+}
+
+/**
+ * Simulates in a worker so thousands of paths don't block the page,
+ * or on the main thread where module workers are unavailable.
+ * @param {MonteCarloParams} params
+ * @returns {Promise<MonteCarloResult>}
+ */
+const simulateReturns = (params) => {
+    if (!monteCarloWorker && typeof Worker !== 'undefined') {
+        try {
+            monteCarloWorker = new Worker(new URL('./monte-carlo-worker.js', import.meta.url), { type: 'module' });
+        } catch {
+            monteCarloWorker = null;
+        }
+    }
+    const worker = monteCarloWorker;
+    if (!worker) return Promise.resolve().then(() => runMonteCarlo(params));
+
+    const id = ++monteCarloRunId;
+    return new Promise((resolve, reject) => {
+        const stopListening = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onFailure);
+            worker.removeEventListener('messageerror', onFailure);
+        };
+        /** @param {MessageEvent} event */
+        const onMessage = (event) => {
+            if (event.data.id !== id) return;
+            stopListening();
+            const { result, error } = event.data;
+            error ? reject(new AnnuityError(error.message, error.fields)) : resolve(result);
+        };
+        // A worker that fails to load or sends a reply that can't be read is dropped, and the run falls back to the main thread.
+        /** @param {Event} event */
+        const onFailure = (event) => {
+            event.preventDefault();
+            stopListening();
+            if (monteCarloWorker === worker) {
+                worker.terminate();
+                monteCarloWorker = null;
+            }
+            try {
+                resolve(runMonteCarlo(params));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onFailure);
+        worker.addEventListener('messageerror', onFailure);
+        worker.postMessage({ id, params });
+    });
+}
+
+/**
+ * @param {number} years
+ * @param {MonteCarloResult} result
+ * @param {?number} currentAge
+ */
+const formatDepletion = (years, { horizonYears }, currentAge) => {
+    if (!isFinite(years)) {
+        return currentAge === null ? `beyond ${horizonYears} years` : `beyond age ${Math.floor(currentAge + horizonYears)}`;
+    }
+    return currentAge === null ? `${years.toFixed(1)} years` : `age ${Math.floor(currentAge + years)}`;
+}
+
+/**
+ * @param {AnnuitySummary} summary
+ * @param {MonteCarloSettings} settings
+ * @param {Chart} primaryChart
+ */
+const runMonteCarloProjection = (summary, settings, primaryChart) => {
+    const { expectedReturn, volatility, simulations, seed, currentAge } = settings;
+    const calculation = lastCalculation;
+
+    $monteCarloMain.textContent = `Running ${simulations} simulations...`;
+    $monteCarloDetail.textContent = '';
+
+    simulateReturns({
+        principal: summary.principal,
+        income: summary.income,
+        annualIncrease: summary.annualIncrease,
+        annuityTerm: summary.annuityTerm,
+        paymentFrequency: summary.paymentFrequency,
+        paymentTiming: summary.paymentTiming,
+        expectedReturn,
+        volatility,
+        simulations,
+        seed,
+    }).then(result => {
+        if (lastCalculation !== calculation) return;
+
+        const { p10, p50, p90 } = result.depletionYears;
+        $monteCarloMain.innerHTML = `Probability the money lasts ${summary.annuityTerm.toFixed(1)} years: ${(result.successProbability * 100).toFixed(1)}%`;
+        $monteCarloDetail.innerHTML = `Money runs out at ${formatDepletion(p10, result, currentAge)} (10th percentile), `
+            + `${formatDepletion(p50, result, currentAge)} (median), ${formatDepletion(p90, result, currentAge)} (90th percentile)`
+            + `<br /> ${result.simulations} simulations of ${expectedReturn}% &plusmn; ${volatility}% annual returns`;
+
+        monteCarloProjection = { result, inflationRate: summary.inflationRate };
+        displayPrimaryResultsChart(calculation.annualResults, calculation.summary, primaryChart);
+    }).catch(error => {
+        if (lastCalculation !== calculation) return;
+        $monteCarloResults.classList.add('hidden');
+        showProjectionError(error);
+    });
+}
+
+/** @param {string} text */
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const displayScenarioTable = () => {
+    $scenarioComparison.classList.toggle('hidden', scenarios.length === 0);
+    $scenarioResults.innerHTML = scenarios.map(({ name, color, calcTypeIndex, summary }, index) => `<tr>
+            <td><span class="result-scenarios__color" style="background-color: ${color}"></span>${escapeHtml(name)}</td>
+            <td>${getOutputResults(calcTypeIndex, summary).main}</td>
+            <td>${currencyFormat(summary.totalWithdrawn)}</td>
+            <td>${currencyFormat(summary.totalInterest)}</td>
+            <td>${summary.perpetual ? 'Indefinite' : `${summary.annuityTerm.toFixed(1)} years`}</td>
+            <td>${summary.drawDown.toFixed(1)}%</td>
+            <td><button class="button result-scenarios__remove" data-index="${index}">Remove</button></td>
+        </tr>`).join('');
+}
+
+/**
+ * Keeps the last calculation for the comparison table and as an extra balance line on the chart.
+ * @param {Chart} primaryChart
+ */
+const saveScenario = (primaryChart) => {
+    if (!lastCalculation) return;
+
+    const { calcTypeIndex, annualResults, summary } = lastCalculation;
+    savedScenarioCount++;
+    scenarios.push({
+        name: $scenarioName.value.trim() || `Scenario ${savedScenarioCount}`,
+        color: scenarioColors[(savedScenarioCount - 1) % scenarioColors.length],
+        calcTypeIndex,
+        summary,
+        endBalances: annualResults.map(it => it.endBalance),
+        realEndBalances: annualResults.map(it => it.realEndBalance),
+    });
+    $scenarioName.value = '';
+
+    displayScenarioTable();
+    displayPrimaryResultsChart(lastCalculation.annualResults, lastCalculation.summary, primaryChart);
+}
+
+/**
+ * @param {number} index
+ * @param {Chart} primaryChart
+ */
+const removeScenario = (index, primaryChart) => {
+    scenarios.splice(index, 1);
+    displayScenarioTable();
+    if (lastCalculation) {
+        displayPrimaryResultsChart(lastCalculation.annualResults, lastCalculation.summary, primaryChart);
+    }
+}
+
+/** @param {number} value */
+const roundCurrency = (value) => Number(value.toFixed(showCurrencyDecimals ? 2 : 0));
+
+/**
+ * Period rows gain running totals so both granularities share the cumulative columns of `getAnnualResults`.
+ * @param {string} name
+ * @param {ResultList} results
+ * @param {ScheduleColumn[]} columns
+ * @param {?number} paymentFrequency `null` for annual rows
+ * @returns {ExportSheet}
+ */
+const getScheduleExportSheet = (name, results, columns, paymentFrequency) => {
+    const currencyCode = $currency.value;
+    const exportColumns = [
+        ...columns,
+        { title: 'TOTAL INTEREST', key: 'totalInterest' },
+        { title: 'TOTAL WITHDRAWN', key: 'totalWithdrawn' },
+    ];
+
+    let totalInterest = 0;
+    let totalWithdrawn = 0;
+    const rows = results.map((item, index) => {
+        totalInterest += item.interestPayment;
+        totalWithdrawn += item.withdrawal;
+        const totals = paymentFrequency === null ? item : { totalInterest, totalWithdrawn };
+        /** @type {ExportValue[]} */
+        const periods = paymentFrequency === null
+            ? [index + 1]
+            : [Math.floor(index / paymentFrequency) + 1, index + 1];
+
+        return [
+            ...periods,
+            ...exportColumns.map(column => column.format
+                ? column.format(item[column.key])
+                : roundCurrency(totals[column.key] ?? item[column.key])),
+        ];
+    });
+
+    return {
+        name,
+        columns: [
+            { title: 'YEAR', type: 'integer' },
+            ...(paymentFrequency === null ? [] : [{ title: 'PERIOD', type: /** @type {const} */ ('integer') }]),
+            ...exportColumns.map(column => column.format
+                ? { title: column.title, type: /** @type {const} */ ('text') }
+                : { title: `${column.title} (${currencyCode})`, type: /** @type {const} */ ('money') }),
+        ],
+        rows,
+    };
+}
+
+/**
+ * e.g. "Withdrawal of R 150,000.00 in month 1, every 7 years, rising 5% a year"
+ * @param {CashFlowEvent} event
+ * @returns {string}
+ */
+const describeCashFlowEvent = ({ type, month, amount, repeatYears = 0, escalation = 0 }) => {
+    let description = `${type === 'deposit' ? 'Deposit' : 'Withdrawal'} of ${currencyFormat(amount, ' ')} in month ${month}`;
+    if (repeatYears > 0) {
+        description += repeatYears === 1 ? ', every year' : `, every ${repeatYears} years`;
+        if (escalation !== 0) description += `, rising ${escalation}% a year`;
+    }
+    return description;
+}
+
+/**
+ * @param {CalculationState} calculation
+ * @returns {CalculationInput[]}
+ */
+const getCalculationInputs = ({ calcTypeIndex, summary }) => [
+    { label: 'Calculation', value: $calculationType.options[calcTypeIndex]?.textContent?.trim() ?? '', type: 'text' },
+    { label: 'Currency', value: $currency.value, type: 'text' },
+    { label: 'Starting Principal', value: summary.principal, type: 'money' },
+    summary.perpetual
+        ? { label: 'Annuity Term', value: `Indefinite, shown over ${summary.annuityTerm} years`, type: 'text' }
+        : { label: 'Annuity Term', value: Number(summary.annuityTerm.toFixed(2)), type: 'years' },
+    { label: 'Interest Rate', value: summary.interestRate, type: 'percent' },
+    ...(summary.rateSchedule
+        ? [{ label: 'Rate Schedule', value: describeRateSchedule(summary.rateSchedule), type: /** @type {const} */ ('text') }]
+        : []),
+    { label: 'Compounding', value: $compounding.selectedOptions[0]?.textContent?.trim() ?? '', type: 'text' },
+    { label: 'Effective Annual Rate', value: Number(summary.effectiveAnnualRate.toFixed(3)), type: 'percent' },
+    { label: 'Payment Frequency', value: getPaymentFrequencyLabel(summary.paymentFrequency), type: 'text' },
+    { label: 'Payment Timing', value: summary.paymentTiming === 'beginning' ? 'Beginning of period' : 'End of period', type: 'text' },
+    { label: `${getPaymentFrequencyLabel(summary.paymentFrequency)} Income`, value: summary.income, type: 'money' },
+    { label: 'Annual Increase', value: summary.annualIncrease, type: 'percent' },
+    { label: 'Inflation Rate', value: summary.inflationRate, type: 'percent' },
+    ...(summary.sustainableIncome !== null
+        ? [{
+            label: `Maximum Sustainable ${getPaymentFrequencyLabel(summary.paymentFrequency)} Income`,
+            value: summary.sustainableIncome,
+            type: /** @type {const} */ ('money'),
+        }]
+        : []),
+    ...(summary.sustainableGrowingIncome !== null && summary.annualIncrease !== 0
+        ? [{
+            label: `Maximum Sustainable Income Rising at ${summary.annualIncrease}%`,
+            value: summary.sustainableGrowingIncome,
+            type: /** @type {const} */ ('money'),
+        }]
+        : []),
+    ...(summary.assetFee > 0 || summary.adminFee > 0 || summary.initialFee > 0
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Annual Management Fee', value: summary.assetFee, type: 'percent' },
+            { label: 'Monthly Admin Fee', value: summary.adminFee, type: 'money' },
+            { label: 'Initial Fee', value: summary.initialFee, type: 'percent' },
+        ])
+        : []),
+    ...(summary.livingAnnuity
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Draw-Down Rate', value: summary.livingAnnuity.drawDownRate, type: 'percent' },
+            { label: 'Minimum Draw-Down Rate', value: summary.livingAnnuity.minDrawDown ?? 0, type: 'percent' },
+            { label: 'Maximum Draw-Down Rate', value: summary.livingAnnuity.maxDrawDown ?? 0, type: 'percent' },
+            { label: `Final ${getPaymentFrequencyLabel(summary.paymentFrequency)} Income`, value: summary.finalIncome, type: 'money' },
+        ])
+        : []),
+    ...(summary.guardrails
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Guardrail Threshold', value: summary.guardrails.threshold ?? 0, type: 'percent' },
+            { label: 'Guardrail Cut or Raise', value: summary.guardrails.adjustment ?? 0, type: 'percent' },
+            { label: 'No Cuts in the Last', value: summary.guardrails.preservationEndYears ?? DEFAULT_PRESERVATION_END_YEARS, type: 'years' },
+            summary.guardrails.maxIncrease != null
+                ? { label: 'Largest Yearly Rise', value: summary.guardrails.maxIncrease, type: 'percent' }
+                : { label: 'Largest Yearly Rise', value: 'No cap', type: 'text' },
+            summary.guardrails.maxDecrease != null
+                ? { label: 'Largest Yearly Fall', value: summary.guardrails.maxDecrease, type: 'percent' }
+                : { label: 'Largest Yearly Fall', value: 'No floor', type: 'text' },
+            { label: `Final ${getPaymentFrequencyLabel(summary.paymentFrequency)} Income`, value: summary.finalIncome, type: 'money' },
+            { label: 'Income Cut', value: summary.incomeCutYears, type: 'years' },
+            { label: 'Income Raised', value: summary.incomeRaiseYears, type: 'years' },
+        ])
+        : []),
+    ...(summary.taxTable
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Tax Table', value: summary.taxTable, type: 'text' },
+            { label: 'Age at Start', value: Number($taxAge.value), type: 'years' },
+            { label: `${getPaymentFrequencyLabel(summary.paymentFrequency)} Income After Tax`, value: summary.netIncome, type: 'money' },
+        ])
+        : []),
+    ...(summary.lifeExpectancy !== null
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Life Annuity', value: $lifeSex.selectedOptions[0]?.textContent?.trim() ?? '', type: 'text' },
+            { label: 'Age at Start', value: Number($lifeAge.value), type: 'years' },
+            { label: 'Guarantee Period', value: summary.guaranteeYears, type: 'years' },
+            { label: 'Life Expectancy', value: Number(summary.lifeExpectancy.toFixed(1)), type: 'years' },
+        ])
+        : []),
+    ...(summary.survivorPercent !== null
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Second Annuitant', value: $jointSex.selectedOptions[0]?.textContent?.trim() ?? '', type: 'text' },
+            { label: "Second Annuitant's Age", value: Number($jointAge.value), type: 'years' },
+            { label: 'Survivor Income', value: summary.survivorPercent, type: 'percent' },
+        ])
+        : []),
+    ...(summary.accumulation
+        ? /** @type {CalculationInput[]} */ ([
+            { label: 'Current Balance', value: summary.accumulation.currentBalance, type: 'money' },
+            { label: 'Monthly Contribution', value: summary.accumulation.contribution, type: 'money' },
+            { label: 'Annual Increase In Contributions', value: summary.accumulation.contributionIncrease ?? 0, type: 'percent' },
+            { label: 'Annual Growth Until Retirement', value: summary.accumulation.growthRate, type: 'percent' },
+            { label: 'Years Until Retirement', value: summary.accumulationYears, type: 'years' },
+        ])
+        : []),
+    ...summary.cashFlows.map((event, index) => ({
+        label: `Cash-Flow Event ${index + 1}`,
+        value: describeCashFlowEvent(event),
+        type: /** @type {const} */ ('text'),
+    })),
+];
+
+/**
+ * @param {CalculationState} calculation
+ * @returns {ExportSheet}
+ */
+const getInputsExportSheet = (calculation) => {
+    const { summary } = calculation;
+    /** @type {CalculationInput[]} */
+    const totals = [
+        { label: 'Total Withdrawn', value: summary.totalWithdrawn, type: 'money' },
+        { label: 'Total Interest', value: summary.totalInterest, type: 'money' },
+    ];
+    if (summary.taxTable) {
+        totals.push({ label: 'Total Tax', value: summary.totalTax, type: 'money' });
+    }
+    if (summary.totalFees > 0) {
+        totals.push({ label: 'Total Fees', value: summary.totalFees, type: 'money' });
+    }
+    if (summary.accumulation) {
+        totals.push({ label: 'Total Contributions', value: summary.totalContributions, type: 'money' });
+    }
+    if (summary.endingBalance >= 0.01) {
+        totals.push({ label: 'Ending Balance', value: summary.endingBalance, type: 'money' });
+        totals.push({ label: "Ending Balance in Today's Money", value: summary.realEndingBalance, type: 'money' });
+    }
+
+    return {
+        name: 'Inputs',
+        columns: [
+            { title: 'PARAMETER', type: 'text' },
+            { title: 'VALUE' },
+        ],
+        rows: [...getCalculationInputs(calculation), ...totals].map(({ label, value, type }) => {
+            switch (type) {
+                case 'money':
+                    return [`${label} (${$currency.value})`, roundCurrency(Number(value))];
+                case 'percent':
+                    return [`${label} (%)`, value];
+                case 'years':
+                    return [`${label} (years)`, value];
+                default:
+                    return [label, value];
+            }
+        }),
+    };
+}
+
+/** @param {CalculationInput} input */
+const formatCalculationInput = ({ value, type }) => {
+    switch (type) {
+        case 'money':
+            return currencyFormat(Number(value));
+        case 'percent':
+            return `${value}%`;
+        case 'years':
+            return `${value} years`;
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Fills the print-only report with the last calculation and opens the print dialog,
+ * from which the browser can save a PDF without a network connection.
+ * @param {Chart} primaryChart
+ */
+const generateReport = (primaryChart) => {
+    if (!lastCalculation) return;
+
+    const { calcTypeIndex, annualResults, summary, columns } = lastCalculation;
+    const { main, smallA, smallB, smallC } = getOutputResults(calcTypeIndex, summary);
+
+    $reportDate.textContent = `Prepared ${new Date().toLocaleDateString()}`;
+    $reportInputs.innerHTML = getCalculationInputs(lastCalculation)
+        .map(input => `<tr><td>${input.label}</td><td>${formatCalculationInput(input)}</td></tr>`)
+        .join('');
+    $reportMain.innerHTML = main;
+    $reportSmallA.innerHTML = smallA;
+    $reportSmallB.innerHTML = smallB;
+    $reportSmallC.innerHTML = smallC;
+
+    primaryChart.stop();
+    primaryChart.update('none');
+    $reportChart.src = primaryChart.toBase64Image();
+
+    displayResultsTableHead($reportScheduleHead, columns);
+    $reportSchedule.innerHTML = annualResults.map((item, index) => getResultsTableRow(item, index, columns)).join('');
+
+    // The calculator may be embedded deep in a page, so the report is moved to the top level where the print styles can isolate it.
+    document.body.append($annuityReport);
+    document.body.classList.add('annuity-report-printing');
+    window.print();
+}
+
+/** @param {'csv' | 'xlsx' | 'json'} format */
+const exportSchedule = (format) => {
+    if (!lastCalculation) return;
+
+    const { calcTypeIndex, calculationResults, annualResults, summary, columns } = lastCalculation;
+    const { paymentFrequency } = summary;
+    const filename = `annuity-${calcTypeParams[calcTypeIndex]}`;
+    const periodSheetName = `${getPaymentFrequencyLabel(paymentFrequency)} Schedule`;
+
+    switch (format) {
+        case 'csv':
+            downloadFile(
+                `${filename}.csv`,
+                toCsv(getScheduleExportSheet(periodSheetName, calculationResults, columns, paymentFrequency)),
+                CSV_MIME_TYPE
+            );
+            break;
+        case 'xlsx':
+            downloadFile(`${filename}.xlsx`, toXlsx([
+                getScheduleExportSheet('Annual Schedule', annualResults, columns, null),
+                getScheduleExportSheet(periodSheetName, calculationResults, columns, paymentFrequency),
+                getInputsExportSheet(lastCalculation),
+            ], { symbol: currencySymbol, decimals: showCurrencyDecimals ? 2 : 0 }), XLSX_MIME_TYPE);
+            break;
+        case 'json': {
+            /** @param {ExportSheet} sheet */
+            const toRecords = (sheet) => sheet.rows.map(row => Object.fromEntries(
+                sheet.columns.map((column, index) => [column.title, row[index]])
+            ));
+            downloadFile(`${filename}.json`, toJson({
+                calculation: calcTypeParams[calcTypeIndex],
+                currency: $currency.value,
+                summary,
+                annualResults: toRecords(getScheduleExportSheet('Annual Schedule', annualResults, columns, null)),
+                periodResults: toRecords(getScheduleExportSheet(periodSheetName, calculationResults, columns, paymentFrequency)),
+            }), JSON_MIME_TYPE);
+            break;
+        }
+    }
 }
 
 /**
@@ -1207,19 +2406,440 @@ Object.values(calcInputs).forEach(({
         $annuityTerm,
         $interestRate,
         $monthlyIncome,
-        $annualIncrease,
     ].forEach(input => input?.addEventListener('input', forceNumeric));
+    // A negative increase is an income that falls every year.
+    $annualIncrease?.addEventListener('input', forceSignedNumeric);
 });
 
-$showMonthlyFigures.addEventListener('change', () => {
+const toggleMonthlyFigures = () => {
     if ($showMonthlyFigures.checked) {
         $monthlyFigures.classList.remove('hidden');
     } else {
         $monthlyFigures.classList.add('hidden');
     }
+};
+
+/**
+ * Adds a row to the cash-flow events editor; each input gets an id so errors can point at it.
+ * @param {Partial<CashFlowEvent>} [event]
+ */
+const addCashFlowEvent = (event = {}) => {
+    const $item = /** @type {HTMLElement} */ (/** @type {DocumentFragment} */ ($cashFlowEventTemplate.content.cloneNode(true)).firstElementChild);
+    const index = cashFlowEventCount++;
+
+    $item.querySelectorAll('[data-field]').forEach(element => {
+        const $field = /** @type {HTMLInputElement | HTMLSelectElement} */ (element);
+        const field = /** @type {keyof CashFlowEvent} */ ($field.dataset.field);
+        $field.id = `cash-flow-${field}-${index}`;
+        if (event[field] !== undefined) $field.value = String(event[field]);
+
+        if ($field instanceof HTMLSelectElement) {
+            $field.addEventListener('change', writeUrlState);
+        } else {
+            $field.addEventListener('input', field === 'escalation' ? forceSignedNumeric : forceNumeric);
+            $field.addEventListener('input', writeUrlState);
+        }
+    });
+    $item.querySelectorAll('.input-field__currency').forEach(el => el.textContent = currencySymbol);
+    $item.querySelector('.cash-flow-events__remove')?.addEventListener('click', () => {
+        $item.remove();
+        writeUrlState();
+    });
+
+    $cashFlowEvents.append($item);
+};
+
+/**
+ * `type:month:amount:repeatYears:escalation` for every row, separated by `;`.
+ * @returns {string}
+ */
+const getCashFlowEventsParam = () => [...$cashFlowEvents.querySelectorAll('.cash-flow-events__item')]
+    .map($item => [...$item.querySelectorAll('[data-field]')]
+        .map(element => /** @type {HTMLInputElement | HTMLSelectElement} */ (element).value)
+        .join(':')
+        .replace(/:+$/, ''))
+    .join(';');
+
+/** @param {string} param */
+const readCashFlowEventsParam = (param) => {
+    $cashFlowEvents.innerHTML = '';
+    param.split(';').filter(text => text !== '').forEach(text => {
+        const [type, month = '', amount = '', repeatYears = '', escalation = ''] = text.split(':');
+        addCashFlowEvent({
+            type: type === 'deposit' ? 'deposit' : 'withdrawal',
+            month: Number(toNumericText(month)) || 1,
+            amount: Number(toNumericText(amount)) || 0,
+            ...(repeatYears !== '' ? { repeatYears: Number(toNumericText(repeatYears)) } : {}),
+            ...(escalation !== '' ? { escalation: Number(toNumericText(escalation, true)) } : {}),
+        });
+    });
+};
+
+const toggleMonteCarloInputs = () => {
+    document.querySelectorAll('.monte-carlo-input').forEach(el => el.classList.toggle('hidden', !$monteCarloMode.checked));
+};
+
+const toggleTaxInputs = () => {
+    document.querySelectorAll('.tax-input').forEach(el => el.classList.toggle('hidden', !$taxMode.checked));
+};
+
+/**
+ * The tax tables are needed by the main calculation, which is synchronous, so they are loaded before the first run.
+ * Without them the calculator still works, just without tax.
+ * @returns {Promise<void>}
+ */
+const loadTaxTables = () => fetch(new URL('../data/tax-tables.json', import.meta.url))
+    .then(response => {
+        if (!response.ok) throw new Error(`Tax tables could not be loaded (${response.status})`);
+        return response.json();
+    })
+    .then(data => {
+        taxTables = data.tables;
+    })
+    .catch(error => {
+        console.error(error);
+        $taxMode.checked = false;
+        $taxMode.disabled = true;
+        toggleTaxInputs();
+    });
+
+/**
+ * Neither a life nor a living annuity can aim for an ending balance.
+ */
+const toggleEndingBalanceInput = () => {
+    $endingBalance.disabled = $lifeMode.checked || $livingAnnuityMode.checked;
+};
+
+/**
+ * A life annuity pays until death rather than for a term, so the term inputs are switched off.
+ */
+const toggleLifeInputs = () => {
+    document.querySelectorAll('.life-input').forEach(el => el.classList.toggle('hidden', !$lifeMode.checked));
+    document.querySelectorAll('.joint-life-input').forEach(el => el.classList.toggle('hidden', !$lifeMode.checked || !$jointLifeMode.checked));
+    Object.values(calcInputs).forEach(({ $annuityTerm }) => {
+        if ($annuityTerm instanceof HTMLInputElement) $annuityTerm.disabled = $lifeMode.checked;
+    });
+    toggleEndingBalanceInput();
+};
+
+/**
+ * A living annuity's income follows the balance rather than escalating, so the annual increase is switched off.
+ */
+const toggleLivingAnnuityInputs = () => {
+    document.querySelectorAll('.living-annuity-input').forEach(el => el.classList.toggle('hidden', !$livingAnnuityMode.checked));
+    const { $annualIncrease } = calcInputs[0];
+    if ($annualIncrease instanceof HTMLInputElement) $annualIncrease.disabled = $livingAnnuityMode.checked;
+    toggleEndingBalanceInput();
+};
+
+const toggleGuardrailInputs = () => {
+    document.querySelectorAll('.guardrails-input').forEach(el => el.classList.toggle('hidden', !$guardrailsMode.checked));
+};
+
+/**
+ * The principal is built up by the accumulation phase, so the principal inputs are switched off.
+ */
+const toggleAccumulationInputs = () => {
+    document.querySelectorAll('.accumulation-input').forEach(el => el.classList.toggle('hidden', !$accumulationMode.checked));
+    Object.values(calcInputs).forEach(({ $startingPrincipal }) => {
+        if ($startingPrincipal instanceof HTMLInputElement) $startingPrincipal.disabled = $accumulationMode.checked;
+    });
+};
+
+/**
+ * Loaded before the first run, like the tax tables. Without them life annuities are not available.
+ * @returns {Promise<void>}
+ */
+const loadMortalityTables = () => fetch(new URL('../data/mortality-tables.json', import.meta.url))
+    .then(response => {
+        if (!response.ok) throw new Error(`Mortality tables could not be loaded (${response.status})`);
+        return response.json();
+    })
+    .then(data => {
+        mortalityTables = data.tables;
+    })
+    .catch(error => {
+        console.error(error);
+        $lifeMode.checked = false;
+        $lifeMode.disabled = true;
+        toggleLifeInputs();
+    });
+
+const toggleBacktestInputs = () => {
+    document.querySelectorAll('.backtest-input').forEach(el => el.classList.toggle('hidden', !$backtestMode.checked));
+};
+
+const updatePaymentFrequencyLabels = () => {
+    const label = getPaymentFrequencyLabel(paymentFrequencies[$paymentFrequency.value]);
+    document.querySelectorAll('.payment-frequency-label').forEach(el => el.textContent = label);
+};
+
+const readUrlState = () => {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    const calcTypeIndex = calcTypeParams.indexOf(urlParams.get('type') ?? '');
+    if (calcTypeIndex !== -1) {
+        $calculationType.selectedIndex = calcTypeIndex;
+        $calcTitle.textContent = $calculationType.selectedOptions[0]?.textContent ?? $calcTitle.textContent;
+    } else {
+        $calcTypeSelect.classList.remove('related-item-hidden');
+    }
+    $calculationType.dispatchEvent(new Event('change'));
+
+    const currency = urlParams.get('currency')?.toUpperCase();
+    if (currency && [...$currency.options].some(option => option.value === currency)) {
+        $currency.value = currency;
+    }
+    currencySymbol = getCurrencySymbol($currency.value);
+    showCurrencyDecimals = $currency.value !== 'JPY';
+    document.querySelectorAll('.input-field__currency').forEach(el => el.textContent = currencySymbol);
+
+    Object.entries(urlFieldParams).forEach(([param, $field]) => {
+        const value = urlParams.get(param);
+        if (value === null) return;
+        if ($field instanceof HTMLSelectElement) {
+            if ([...$field.options].some(option => option.value === value)) {
+                $field.value = value;
+            }
+        } else {
+            $field.value = toNumericText(value, $field === $inflationRate);
+        }
+    });
+
+    const inputs = calcInputs[$calculationType.selectedIndex];
+    Object.entries(urlInputParams).forEach(([param, key]) => {
+        const value = urlParams.get(param);
+        const element = /** @type {?HTMLInputElement | undefined} */ (inputs[key]);
+        if (value !== null && element) {
+            element.value = toNumericText(value, key === '$annualIncrease');
+        }
+    });
+
+    updatePaymentFrequencyLabels();
+
+    $chartRealValues.checked = urlParams.get('real') === '1';
+
+    $monteCarloMode.checked = urlParams.get('mc') === '1';
+    Object.entries(urlMonteCarloParams).forEach(([param, $input]) => {
+        const value = urlParams.get(param);
+        if (value !== null) $input.value = toNumericText(value, $input === $expectedReturn);
+    });
+    toggleMonteCarloInputs();
+
+    $taxMode.checked = urlParams.get('tax') === '1';
+    const taxTable = urlParams.get('taxtable')?.toUpperCase();
+    if (taxTable && [...$taxTable.options].some(option => option.value === taxTable)) {
+        $taxTable.value = taxTable;
+    }
+    const taxAge = urlParams.get('taxage');
+    if (taxAge !== null) $taxAge.value = toNumericText(taxAge);
+    $netIncomeTarget.checked = urlParams.get('net') === '1';
+    toggleTaxInputs();
+
+    $livingAnnuityMode.checked = urlParams.get('living') === '1';
+    Object.entries(urlLivingAnnuityParams).forEach(([param, $input]) => {
+        const value = urlParams.get(param);
+        if (value !== null) $input.value = toNumericText(value);
+    });
+    toggleLivingAnnuityInputs();
+
+    $guardrailsMode.checked = urlParams.get('guardrails') === '1';
+    Object.entries(urlGuardrailParams).forEach(([param, $input]) => {
+        const value = urlParams.get(param);
+        if (value !== null) $input.value = toNumericText(value);
+    });
+    toggleGuardrailInputs();
+
+    $lifeMode.checked = urlParams.get('life') === '1';
+    const sex = urlParams.get('sex')?.toLowerCase();
+    if (sex && [...$lifeSex.options].some(option => option.value === sex)) {
+        $lifeSex.value = sex;
+    }
+    const lifeAge = urlParams.get('lifeage');
+    if (lifeAge !== null) $lifeAge.value = toNumericText(lifeAge);
+    const guarantee = urlParams.get('guarantee');
+    if (guarantee !== null) $guaranteeYears.value = toNumericText(guarantee);
+    $jointLifeMode.checked = urlParams.get('joint') === '1';
+    const jointSex = urlParams.get('jointsex')?.toLowerCase();
+    if (jointSex && [...$jointSex.options].some(option => option.value === jointSex)) {
+        $jointSex.value = jointSex;
+    }
+    const jointAge = urlParams.get('jointage');
+    if (jointAge !== null) $jointAge.value = toNumericText(jointAge);
+    const survivor = urlParams.get('survivor');
+    if (survivor !== null) $survivorPercent.value = toNumericText(survivor);
+    toggleLifeInputs();
+
+    $accumulationMode.checked = urlParams.get('accumulate') === '1';
+    Object.entries(urlAccumulationParams).forEach(([param, $input]) => {
+        const value = urlParams.get(param);
+        if (value !== null) $input.value = toNumericText(value);
+    });
+    toggleAccumulationInputs();
+
+    $backtestMode.checked = urlParams.get('backtest') === '1';
+    const market = urlParams.get('market')?.toUpperCase();
+    if (market && [...$backtestMarket.options].some(option => option.value === market)) {
+        $backtestMarket.value = market;
+    }
+    $backtestStartYear.value = toNumericText(urlParams.get('start') ?? '');
+    toggleBacktestInputs();
+
+    $rateSchedule.value = urlParams.get('schedule') ?? '';
+    readCashFlowEventsParam(urlParams.get('events') ?? '');
+
+    if (urlParams.has('monthly')) {
+        $showMonthlyFigures.checked = urlParams.get('monthly') === '1';
+        toggleMonthlyFigures();
+    }
+};
+
+const writeUrlState = () => {
+    const url = new URL(window.location.href);
+    const inputs = calcInputs[$calculationType.selectedIndex];
+
+    url.searchParams.set('type', calcTypeParams[$calculationType.selectedIndex]);
+    Object.entries(urlInputParams).forEach(([param, key]) => {
+        const element = /** @type {?HTMLInputElement | undefined} */ (inputs[key]);
+        if (element) {
+            url.searchParams.set(param, element.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    Object.entries(urlFieldParams).forEach(([param, $field]) => {
+        url.searchParams.set(param, $field.value);
+    });
+    if ($rateSchedule.value.trim() !== '') {
+        url.searchParams.set('schedule', $rateSchedule.value);
+    } else {
+        url.searchParams.delete('schedule');
+    }
+    const events = getCashFlowEventsParam();
+    if (events !== '') {
+        url.searchParams.set('events', events);
+    } else {
+        url.searchParams.delete('events');
+    }
+    url.searchParams.set('real', $chartRealValues.checked ? '1' : '0');
+    url.searchParams.set('mc', $monteCarloMode.checked ? '1' : '0');
+    Object.entries(urlMonteCarloParams).forEach(([param, $input]) => {
+        if ($monteCarloMode.checked) {
+            url.searchParams.set(param, $input.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('tax', $taxMode.checked ? '1' : '0');
+    Object.entries(urlTaxParams).forEach(([param, $field]) => {
+        if ($taxMode.checked) {
+            url.searchParams.set(param, $field.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    if ($taxMode.checked && $netIncomeTarget.checked) {
+        url.searchParams.set('net', '1');
+    } else {
+        url.searchParams.delete('net');
+    }
+    url.searchParams.set('living', $livingAnnuityMode.checked ? '1' : '0');
+    Object.entries(urlLivingAnnuityParams).forEach(([param, $input]) => {
+        if ($livingAnnuityMode.checked) {
+            url.searchParams.set(param, $input.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('guardrails', $guardrailsMode.checked ? '1' : '0');
+    Object.entries(urlGuardrailParams).forEach(([param, $input]) => {
+        if ($guardrailsMode.checked) {
+            url.searchParams.set(param, $input.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('life', $lifeMode.checked ? '1' : '0');
+    Object.entries(urlLifeParams).forEach(([param, $field]) => {
+        if ($lifeMode.checked) {
+            url.searchParams.set(param, $field.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    const jointLife = $lifeMode.checked && $jointLifeMode.checked;
+    if (jointLife) {
+        url.searchParams.set('joint', '1');
+    } else {
+        url.searchParams.delete('joint');
+    }
+    Object.entries(urlJointLifeParams).forEach(([param, $field]) => {
+        if (jointLife) {
+            url.searchParams.set(param, $field.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('accumulate', $accumulationMode.checked ? '1' : '0');
+    Object.entries(urlAccumulationParams).forEach(([param, $input]) => {
+        if ($accumulationMode.checked) {
+            url.searchParams.set(param, $input.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('backtest', $backtestMode.checked ? '1' : '0');
+    Object.entries(urlBacktestParams).forEach(([param, $field]) => {
+        if ($backtestMode.checked && $field.value !== '') {
+            url.searchParams.set(param, $field.value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    url.searchParams.set('currency', $currency.value);
+    url.searchParams.set('monthly', $showMonthlyFigures.checked ? '1' : '0');
+
+    window.history.replaceState(window.history.state, '', url);
+};
+
+$showMonthlyFigures.addEventListener('change', toggleMonthlyFigures);
+$monteCarloMode.addEventListener('change', toggleMonteCarloInputs);
+$backtestMode.addEventListener('change', toggleBacktestInputs);
+$taxMode.addEventListener('change', toggleTaxInputs);
+$taxAge.addEventListener('input', forceNumeric);
+$livingAnnuityMode.addEventListener('change', toggleLivingAnnuityInputs);
+Object.values(urlLivingAnnuityParams).forEach(input => input.addEventListener('input', forceNumeric));
+$guardrailsMode.addEventListener('change', toggleGuardrailInputs);
+Object.values(urlGuardrailParams).forEach(input => input.addEventListener('input', forceNumeric));
+$lifeMode.addEventListener('change', toggleLifeInputs);
+$jointLifeMode.addEventListener('change', toggleLifeInputs);
+$accumulationMode.addEventListener('change', toggleAccumulationInputs);
+Object.values(urlAccumulationParams).forEach(input => input.addEventListener('input', forceNumeric));
+[$lifeAge, $guaranteeYears, $jointAge, $survivorPercent].forEach(input => input.addEventListener('input', forceNumeric));
+$backtestStartYear.addEventListener('input', forceNumeric);
+$expectedReturn.addEventListener('input', forceSignedNumeric);
+[$returnVolatility, $simulations, $randomSeed, $currentAge].forEach(input => input.addEventListener('input', forceNumeric));
+$exportCsv.addEventListener('click', () => exportSchedule('csv'));
+$exportXlsx.addEventListener('click', () => exportSchedule('xlsx'));
+$exportJson.addEventListener('click', () => exportSchedule('json'));
+window.addEventListener('afterprint', () => document.body.classList.remove('annuity-report-printing'));
+$inflationRate.addEventListener('input', forceSignedNumeric);
+$endingBalance.addEventListener('input', forceNumeric);
+[$managementFee, $adminFee, $initialFee].forEach(input => input.addEventListener('input', forceNumeric));
+$addCashFlowEvent.addEventListener('click', () => {
+    addCashFlowEvent();
+    writeUrlState();
+});
+$chartRealValues.addEventListener('change', writeUrlState);
+$paymentFrequency.addEventListener('change', updatePaymentFrequencyLabels);
+
+readUrlState();
+
+/** @type {NodeListOf<HTMLInputElement | HTMLSelectElement>} */ (document.querySelectorAll('#calculator_form input, #calculator_form select')).forEach(element => {
+    element.addEventListener(element.type === 'text' ? 'input' : 'change', writeUrlState);
 });
 
-import("./lib/chartjs/chart.js").then(({ Chart, registerables }) => {
+Promise.all([import("./lib/chartjs/chart.js"), loadTaxTables(), loadMortalityTables()]).then(([{ Chart, registerables }]) => {
     Chart.register(...registerables);
 
     const primaryChart = new Chart($primaryChart, {
@@ -1231,6 +2851,9 @@ import("./lib/chartjs/chart.js").then(({ Chart, registerables }) => {
             plugins: {
                 legend: {
                     display: false,
+                    labels: {
+                        filter: (item) => item.datasetIndex === 0 || item.datasetIndex >= PRIMARY_DATASET_COUNT,
+                    },
                 },
                 tooltip: tooltip,
             },
@@ -1245,6 +2868,16 @@ import("./lib/chartjs/chart.js").then(({ Chart, registerables }) => {
                         callback: (it) => currencyFormat(it, ' '),
                     },
                 },
+                income: {
+                    display: 'auto',
+                    position: 'right',
+                    grid: {
+                        drawOnChartArea: false,
+                    },
+                    ticks: {
+                        callback: (it) => currencyFormat(it, ' '),
+                    },
+                },
                 x: {
                     stacked: true,
                     ticks: {
@@ -1260,14 +2893,68 @@ import("./lib/chartjs/chart.js").then(({ Chart, registerables }) => {
         }
     });
 
+    expectedIncomeChart = new Chart($expectedIncomeChart, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                { label: 'Expected Income', data: [], stack: 'income', backgroundColor: colors.primary },
+                { label: 'Survivor Income', data: [], stack: 'income', backgroundColor: colors.secondary },
+            ],
+        },
+        options: {
+            response: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        filter: (item, data) => !data.datasets[item.datasetIndex ?? 0].hidden,
+                    },
+                },
+            },
+            scales: {
+                y: {
+                    stacked: true,
+                    ticks: {
+                        callback: (it) => currencyFormat(it, ' '),
+                    },
+                },
+                x: {
+                    stacked: true,
+                    grid: {
+                        display: false
+                    },
+                },
+            },
+        }
+    });
+
     $calculationType.addEventListener('change', () => runApp(primaryChart));
     $calculateBtn.addEventListener('click', () => runApp(primaryChart));
     $currency.addEventListener('change', () => changeCurrency(primaryChart));
+    $compounding.addEventListener('change', () => runApp(primaryChart));
+    $paymentFrequency.addEventListener('change', () => runApp(primaryChart));
+    $paymentTiming.addEventListener('change', () => runApp(primaryChart));
+    $chartRealValues.addEventListener('change', () => runApp(primaryChart));
+    $monteCarloMode.addEventListener('change', () => runApp(primaryChart));
+    $backtestMode.addEventListener('change', () => runApp(primaryChart));
+    $taxMode.addEventListener('change', () => runApp(primaryChart));
+    $taxTable.addEventListener('change', () => runApp(primaryChart));
+    $netIncomeTarget.addEventListener('change', () => runApp(primaryChart));
+    $livingAnnuityMode.addEventListener('change', () => runApp(primaryChart));
+    $guardrailsMode.addEventListener('change', () => runApp(primaryChart));
+    $lifeMode.addEventListener('change', () => runApp(primaryChart));
+    $lifeSex.addEventListener('change', () => runApp(primaryChart));
+    $jointLifeMode.addEventListener('change', () => runApp(primaryChart));
+    $jointSex.addEventListener('change', () => runApp(primaryChart));
+    $accumulationMode.addEventListener('change', () => runApp(primaryChart));
+    $backtestMarket.addEventListener('change', () => runApp(primaryChart));
+    $generateReport.addEventListener('click', () => generateReport(primaryChart));
+    $saveScenario.addEventListener('click', () => saveScenario(primaryChart));
+    $scenarioResults.addEventListener('click', (event) => {
+        const $button = /** @type {HTMLElement} */ (event.target).closest('.result-scenarios__remove');
+        if ($button instanceof HTMLElement) removeScenario(Number($button.dataset.index), primaryChart);
+    });
 
-    const queryString = window.location.search;
-    const urlParams = new URLSearchParams(queryString);
-    if (urlParams.has('type')) {
-        const event = new Event('change');
-        $calculationType.dispatchEvent(event);
-    }
+    runApp(primaryChart);
 })
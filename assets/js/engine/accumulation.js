@@ -0,0 +1,72 @@
+// @ts-check
+'use strict'
+
+// Accumulation phase of a deferred annuity: the balance grows with regular contributions
+// until the payout starts. Contributions are made at the end of each period.
+
+/**
+ * @typedef {Object} AccumulationSettings
+ * @property {number} currentBalance
+ * @property {number} contribution per month
+ * @property {number} [contributionIncrease] annual increase in the contribution, in %
+ * @property {number} growthRate annual, in %
+ * @property {number} years until the payout starts
+ */
+/**
+ * @typedef {Object} AccumulationPeriod
+ * @property {number} startBalance
+ * @property {number} growth
+ * @property {number} contribution
+ * @property {number} endBalance
+ */
+
+/**
+ * Builds the balance up period by period, with the contributions of each month spread evenly over the payment periods.
+ * @param {AccumulationSettings} settings
+ * @param {number} paymentFrequency
+ * @returns {AccumulationPeriod[]}
+ */
+export function getAccumulationPeriods(settings, paymentFrequency) {
+    const { currentBalance, contributionIncrease = 0, growthRate, years } = settings;
+    const growthPayB = Math.pow(1 + growthRate / 100, 1 / paymentFrequency) - 1;
+
+    /** @type {AccumulationPeriod[]} */
+    const periods = [];
+    let balance = currentBalance;
+    let contribution = settings.contribution * 12 / paymentFrequency;
+    for (let i = 0; i < Math.round(years * paymentFrequency); i++) {
+        if (i > 0 && i % paymentFrequency === 0) contribution *= 1 + contributionIncrease / 100;
+
+        const startBalance = balance;
+        const growth = balance * growthPayB;
+        balance += growth + contribution;
+        periods.push({ startBalance, growth, contribution, endBalance: balance });
+    }
+    return periods;
+}
+
+/**
+ * @param {AccumulationSettings} settings
+ * @param {number} paymentFrequency
+ * @returns {number} balance when the payout starts
+ */
+export function getAccumulatedBalance(settings, paymentFrequency) {
+    const periods = getAccumulationPeriods(settings, paymentFrequency);
+    return periods.length ? periods[periods.length - 1].endBalance : settings.currentBalance;
+}
+
+/**
+ * Monthly contribution that builds the balance up to `target`, 0 when the current balance grows to it on its own.
+ * The balance is linear in the contribution, so it is solved directly.
+ * @param {AccumulationSettings} settings
+ * @param {number} target
+ * @param {number} paymentFrequency
+ * @returns {number}
+ */
+export function getRequiredContribution(settings, target, paymentFrequency) {
+    const withoutContributions = getAccumulatedBalance({ ...settings, contribution: 0 }, paymentFrequency);
+    const perUnitContribution = getAccumulatedBalance({ ...settings, currentBalance: 0, contribution: 1 }, paymentFrequency);
+    if (withoutContributions >= target) return 0;
+
+    return (target - withoutContributions) / perUnitContribution;
+}
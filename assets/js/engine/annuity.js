@@ -0,0 +1,1502 @@
+// @ts-check
+'use strict'
+
+// Annuity engine. Pure calculations only: no DOM access, no formatting,
+// so it can be imported by the widget and by Node alike.
+
+import { bracketRoot, findRoot } from './root-finding.js';
+import { getScheduledRate } from './rate-schedule.js';
+import { getPeriodCashFlow } from './cash-flows.js';
+import { getAnnualTax, getGrossIncome } from './tax.js';
+import { getLifeAnnuityTerm, getPayoutExpectancy, getPaymentWeights } from './life-annuity.js';
+import { getAccumulatedBalance, getAccumulationPeriods, getRequiredContribution } from './accumulation.js';
+import { DEFAULT_MAX_DRAW_DOWN, DEFAULT_MIN_DRAW_DOWN, getLivingAnnuityIncome } from './living-annuity.js';
+import {
+    applyGuardrails,
+    DEFAULT_GUARDRAIL_ADJUSTMENT,
+    DEFAULT_GUARDRAIL_THRESHOLD,
+    DEFAULT_PRESERVATION_END_YEARS,
+    GUARDRAIL_RULES,
+} from './guardrails.js';
+
+// Types
+/** @typedef {import('./rate-schedule.js').RateSchedule} RateSchedule */
+/** @typedef {import('./cash-flows.js').CashFlowEvent} CashFlowEvent */
+/** @typedef {import('./tax.js').TaxSettings} TaxSettings */
+/** @typedef {import('./life-annuity.js').LifeSettings} LifeSettings */
+/** @typedef {import('./accumulation.js').AccumulationSettings} AccumulationSettings */
+/** @typedef {import('./living-annuity.js').LivingAnnuitySettings} LivingAnnuitySettings */
+/** @typedef {import('./guardrails.js').GuardrailSettings} GuardrailSettings */
+/** @typedef {Record<string, number>[]} ResultList */
+/** @typedef {'end'|'beginning'} PaymentTiming ordinary annuity (in arrears) or annuity-due (in advance) */
+/**
+ * @typedef {Object} AnnuityParams
+ * @property {?number} [principal]
+ * @property {?number} [annuityTerm] years
+ * @property {?number} [interestRate] annual, in %
+ * @property {?RateSchedule} [rateSchedule] annual rates by year, used instead of `interestRate` when given
+ * @property {number} [compound] compounding periods per year, `Infinity` for continuous compounding
+ * @property {number} [paymentFrequency] payments per year
+ * @property {PaymentTiming} [paymentTiming]
+ * @property {?number} [income] income per payment period
+ * @property {?number} [annualIncrease] in %
+ * @property {number} [inflationRate] annual, in %, used to express results in today's money
+ * @property {CashFlowEvent[]} [cashFlows] deposits and withdrawals on top of the regular income
+ * @property {number} [assetFee] annual management fee, in % of the balance
+ * @property {number} [adminFee] fixed admin fee per month
+ * @property {number} [initialFee] in % of the principal, taken before the first period
+ * @property {?TaxSettings} [tax] income tax on the withdrawals, which does not change the balance
+ * @property {?LifeSettings} [life] pays for life instead of for `annuityTerm`, or for as long as the principal lasts when solving for the term
+ * @property {?AccumulationSettings} [accumulation] builds the principal up before the payout starts, instead of `principal`
+ * @property {number} [endingBalance] left at the end of the term, e.g. for heirs; the income stops when the balance falls to it
+ * @property {?LivingAnnuitySettings} [livingAnnuity] resets the income to a percentage of the balance every year, instead of `annualIncrease`
+ * @property {?GuardrailSettings} [guardrails] adjusts the income every year by the guardrails rules, on top of `annualIncrease`;
+ * the calculation itself assumes the fixed escalation, and the schedule shows what the rules make of it over the term
+ */
+/**
+ * @typedef {Object} AnnuitySummary
+ * @property {number} principal
+ * @property {number} annuityTerm actual term in years
+ * @property {number} interestRate the first year's rate when it follows a schedule
+ * @property {?RateSchedule} rateSchedule
+ * @property {number} effectiveAnnualRate in %, for the first year
+ * @property {number} paymentFrequency
+ * @property {PaymentTiming} paymentTiming
+ * @property {number} income initial income per payment period
+ * @property {number} annualIncrease
+ * @property {number} initialAnnualIncome
+ * @property {number} drawDown initial annual income as a percentage of the principal
+ * @property {number} totalWithdrawn
+ * @property {number} totalInterest
+ * @property {number} inflationRate
+ * @property {number} finalIncome income per payment period at the end of the term
+ * @property {number} finalRealIncome income per payment period at the end of the term, in today's money
+ * @property {number} totalRealWithdrawn
+ * @property {number} totalRealInterest
+ * @property {CashFlowEvent[]} cashFlows
+ * @property {number} totalCashFlowDeposits
+ * @property {number} totalCashFlowWithdrawals
+ * @property {number} assetFee
+ * @property {number} adminFee
+ * @property {number} initialFee
+ * @property {number} totalFees
+ * @property {?string} taxTable name of the tax table, `null` when withdrawals are not taxed
+ * @property {number} totalTax
+ * @property {number} totalNetWithdrawn
+ * @property {number} netIncome income per payment period after tax in the first year
+ * @property {?number} lifeExpectancy expected years until the last payment on a life, `null` for a term-certain annuity
+ * @property {number} guaranteeYears
+ * @property {?number} survivorPercent of the income paid after the first death, `null` unless it is a joint life
+ * @property {?AccumulationSettings} accumulation with the contribution that was used
+ * @property {number} accumulationYears years before the payout starts, at the start of the schedule
+ * @property {number} totalContributions
+ * @property {number} endingBalance balance left at the end of the schedule
+ * @property {number} realEndingBalance in today's money
+ * @property {?LivingAnnuitySettings} livingAnnuity
+ * @property {?GuardrailSettings} guardrails
+ * @property {number} incomeCutYears years in which the capital preservation guardrail cut the income
+ * @property {number} incomeRaiseYears years in which the prosperity guardrail raised the income
+ * @property {boolean} perpetual the income never runs out, and `annuityTerm` is the horizon the schedule is shown over
+ * @property {?number} sustainableIncome highest level income per payment period the principal can pay forever,
+ * `null` for life and living annuities
+ * @property {?number} sustainableGrowingIncome highest initial income per payment period the principal can pay forever
+ * while it rises by the annual increase, `null` when no income can rise that fast forever
+ * @property {?FeeFreeComparison} feeFree the same calculation without fees, `null` when there are no fees or it has no solution
+ * @property {SolverStatus} solver how the unknown parameter was found
+ */
+/**
+ * @typedef {Object} AnnuityResult
+ * @property {ResultList} calculationResults one entry per payment period
+ * @property {AnnuitySummary} summary
+ */
+/**
+ * @typedef {Object} FeeFreeComparison
+ * @property {number} principal
+ * @property {number} annuityTerm
+ * @property {number} interestRate
+ * @property {number} income
+ * @property {number} annualIncrease
+ * @property {boolean} perpetual
+ */
+/**
+ * @typedef {Object} SolverStatus
+ * @property {'closed-form'|'brent'} method
+ * @property {number} iterations
+ * @property {boolean} converged
+ */
+/**
+ * @callback CalcFunc
+ * @param {AnnuityParams} params
+ * @returns {AnnuityResult}
+ */
+/**
+ * Parameters with every value the simulation needs filled in.
+ * @typedef {Object} ScheduleParams
+ * @property {number} principal
+ * @property {?number} annuityTerm
+ * @property {number} interestRate
+ * @property {?RateSchedule} rateSchedule
+ * @property {number} compound
+ * @property {number} paymentFrequency
+ * @property {PaymentTiming} paymentTiming
+ * @property {number} income
+ * @property {number} annualIncrease
+ * @property {number} inflationRate
+ * @property {CashFlowEvent[]} cashFlows
+ * @property {number} assetFee
+ * @property {number} adminFee
+ * @property {number} initialFee
+ * @property {?TaxSettings} tax
+ * @property {?LifeSettings} life
+ * @property {?number[]} survival weight of each payment for a life annuity, see `getPaymentWeights`
+ * @property {?AccumulationSettings} accumulation
+ * @property {number} endingBalance
+ * @property {?LivingAnnuitySettings} livingAnnuity
+ * @property {?GuardrailSettings} guardrails
+ * @property {boolean} perpetual the income never runs out, so the schedule covers `annuityTerm` years as a representative horizon
+ */
+
+export const DEFAULT_COMPOUND = 1;
+export const DEFAULT_PAYMENT_FREQUENCY = 12;
+/** @type {PaymentTiming} */
+export const DEFAULT_PAYMENT_TIMING = 'end';
+
+/** A payment this far below the scheduled income, as a fraction, counts as the money running out. */
+export const SHORTFALL_TOLERANCE = 0.01;
+
+export const MIN_INTEREST_RATE = -99;
+export const MAX_INTEREST_RATE = 10000;
+
+export const MIN_ANNUAL_INCREASE = -99;
+export const MAX_ANNUAL_INCREASE = 1000;
+
+/** @type {SolverStatus} */
+const CLOSED_FORM_SOLVER = { method: 'closed-form', iterations: 0, converged: true };
+
+export const CALCULATION_FAILED_ERROR_MESSAGE = "Please check the input values are reasonable";
+export const CALCULATION_LIMIT_YEARS = 1000;
+export const CALCULATION_TOO_LONG_ERROR_MESSAGE = `This annuity will last longer than ${CALCULATION_LIMIT_YEARS} years. Please increase the withdrawal amount`;
+/** An income that never runs out is scheduled over this many years. */
+export const PERPETUITY_HORIZON_YEARS = 100;
+
+export class AnnuityError extends Error {
+    /**
+     * @param {string} message
+     * @param {string[]} [fields] names of the parameters the error relates to
+     */
+    constructor(message, fields = []) {
+        super(message);
+        this.name = this.constructor.name;
+        this.fields = fields;
+    }
+}
+
+export class InvalidParametersError extends AnnuityError { }
+
+export class CalculationFailedError extends AnnuityError {
+    /**
+     * @param {string[]} [fields]
+     * @param {SolverStatus} [solver] state of the root finder when it gave up
+     */
+    constructor(fields = [], solver = undefined) {
+        super(CALCULATION_FAILED_ERROR_MESSAGE, fields);
+        this.solver = solver;
+    }
+}
+
+/**
+ * @typedef {Object} FeasibleValue
+ * @property {string} field parameter to change
+ * @property {'min' | 'max'} bound whether `value` is the lowest or the highest value that has a solution
+ * @property {number} value nearest value of the parameter that has a solution
+ */
+
+/** The inputs have no solution at all, rather than the solver failing to find it. */
+export class InfeasibleParametersError extends AnnuityError {
+    /**
+     * @param {string} message why there is no solution
+     * @param {FeasibleValue} nearest
+     * @param {string[]} [fields] defaults to the field of `nearest`
+     */
+    constructor(message, nearest, fields = [nearest.field]) {
+        super(message, fields);
+        this.nearest = nearest;
+    }
+}
+
+export class CalculationTooLongError extends AnnuityError {
+    /** @param {string[]} [fields] */
+    constructor(fields = []) {
+        super(CALCULATION_TOO_LONG_ERROR_MESSAGE, fields);
+    }
+}
+
+/**
+ * @param {AnnuityParams} params
+ * @param {(keyof AnnuityParams)[]} names
+ */
+function requireParams(params, names) {
+    const missing = names.filter(name => (params[name] === null || params[name] === undefined)
+        && !(name === 'interestRate' && params.rateSchedule?.length)
+        && !(name === 'annuityTerm' && params.life)
+        && !(name === 'annualIncrease' && params.livingAnnuity)
+        && !(name === 'principal' && params.accumulation));
+    if (missing.length) {
+        throw new InvalidParametersError(`Missing annuity parameters: ${missing.join(', ')}`, missing);
+    }
+}
+
+/**
+ * @param {CashFlowEvent[]} cashFlows
+ */
+function validateCashFlows(cashFlows) {
+    for (const { type, month, amount, repeatYears = 0, escalation = 0 } of cashFlows) {
+        if (type !== 'deposit' && type !== 'withdrawal') {
+            throw new InvalidParametersError(`Unknown cash-flow type: ${type}`, ['cashFlows']);
+        }
+        if (!Number.isInteger(month) || month < 1) {
+            throw new InvalidParametersError('Cash-flow events must start in a whole month from month 1.', ['cashFlows']);
+        }
+        if (!(amount > 0)) {
+            throw new InvalidParametersError('Cash-flow amounts must be greater than 0.', ['cashFlows']);
+        }
+        if (!Number.isInteger(repeatYears) || repeatYears < 0) {
+            throw new InvalidParametersError('Cash-flow events can only repeat every whole number of years.', ['cashFlows']);
+        }
+        if (!(escalation > -100)) {
+            throw new InvalidParametersError('The cash-flow escalation must be greater than -100%.', ['cashFlows']);
+        }
+    }
+}
+
+/**
+ * @param {AnnuityParams} params
+ */
+function validateFees({ assetFee = 0, adminFee = 0, initialFee = 0 }) {
+    if (!(assetFee >= 0 && assetFee < 100)) {
+        throw new InvalidParametersError('The management fee must be from 0% to less than 100%.', ['assetFee']);
+    }
+    if (!(adminFee >= 0)) {
+        throw new InvalidParametersError('The admin fee cannot be negative.', ['adminFee']);
+    }
+    if (!(initialFee >= 0 && initialFee < 100)) {
+        throw new InvalidParametersError('The initial fee must be from 0% to less than 100%.', ['initialFee']);
+    }
+}
+
+/**
+ * @param {AnnuityParams} params
+ * @param {(keyof AnnuityParams)[]} names
+ */
+function rejectParams(params, names) {
+    const unsupported = names.filter(name => params[name]);
+    if (unsupported.length) {
+        throw new InvalidParametersError(`Not supported by this calculation: ${unsupported.join(', ')}`, unsupported);
+    }
+}
+
+/**
+ * @param {AnnuityParams} params
+ */
+function validateEndingBalance({ endingBalance = 0, life, livingAnnuity }) {
+    if (!(endingBalance >= 0)) {
+        throw new InvalidParametersError('The ending balance cannot be negative.', ['endingBalance']);
+    }
+    // A life annuity pays until the last annuitant dies, so there is no end of the term to leave a balance at.
+    if (endingBalance > 0 && life) {
+        throw new InvalidParametersError('A life annuity cannot leave an ending balance.', ['endingBalance']);
+    }
+    // What a living annuity leaves follows from the draw-down rate.
+    if (endingBalance > 0 && livingAnnuity) {
+        throw new InvalidParametersError('A living annuity cannot aim for an ending balance.', ['endingBalance']);
+    }
+}
+
+/**
+ * @param {LifeSettings} life
+ */
+function validateLife({ table, age, guaranteeYears = 0, joint }) {
+    if (!Number.isInteger(age) || age < 0 || age >= table.qx.length) {
+        throw new InvalidParametersError(`The age must be a whole number from 0 to ${table.qx.length - 1}.`, ['life']);
+    }
+    if (!Number.isInteger(guaranteeYears) || guaranteeYears < 0) {
+        throw new InvalidParametersError('The guarantee period must be a whole number of years.', ['life']);
+    }
+    if (!joint) return;
+
+    if (!Number.isInteger(joint.age) || joint.age < 0 || joint.age >= joint.table.qx.length) {
+        throw new InvalidParametersError(`The age must be a whole number from 0 to ${joint.table.qx.length - 1}.`, ['jointLife']);
+    }
+    if (!(joint.survivorPercent >= 0 && joint.survivorPercent <= 100)) {
+        throw new InvalidParametersError('The survivor income must be from 0% to 100%.', ['survivorPercent']);
+    }
+}
+
+/**
+ * @param {LivingAnnuitySettings} livingAnnuity
+ * @param {?LifeSettings} [life]
+ */
+function validateLivingAnnuity({ drawDownRate, minDrawDown = DEFAULT_MIN_DRAW_DOWN, maxDrawDown = DEFAULT_MAX_DRAW_DOWN }, life) {
+    // The income is drawn from the annuitant's own balance, so there is no pooling of mortality.
+    if (life) {
+        throw new InvalidParametersError('A living annuity cannot also be paid for life.', ['livingAnnuity']);
+    }
+    if (!(minDrawDown > 0 && minDrawDown <= maxDrawDown && maxDrawDown <= 100)) {
+        throw new InvalidParametersError('The draw-down bands must be from more than 0% to 100%, with the minimum below the maximum.', ['drawDownBands']);
+    }
+    if (!(drawDownRate >= minDrawDown && drawDownRate <= maxDrawDown)) {
+        throw new InvalidParametersError(`The draw-down rate must be from ${minDrawDown}% to ${maxDrawDown}% of the balance.`, ['drawDownRate']);
+    }
+}
+
+/**
+ * @param {GuardrailSettings} guardrails
+ * @param {AnnuityParams} params
+ */
+function validateGuardrails(guardrails, params) {
+    const {
+        threshold = DEFAULT_GUARDRAIL_THRESHOLD,
+        adjustment = DEFAULT_GUARDRAIL_ADJUSTMENT,
+        preservationEndYears = DEFAULT_PRESERVATION_END_YEARS,
+        maxIncrease = null,
+        maxDecrease = null,
+    } = guardrails;
+    if (params.life || params.livingAnnuity) {
+        throw new InvalidParametersError('Guardrails only apply to an income for a fixed term.', ['guardrails']);
+    }
+    if (!(threshold > 0 && threshold < 100)) {
+        throw new InvalidParametersError('The guardrail threshold must be from more than 0% to less than 100%.', ['guardrailThreshold']);
+    }
+    if (!(adjustment > 0 && adjustment < 100)) {
+        throw new InvalidParametersError('The guardrail adjustment must be from more than 0% to less than 100%.', ['guardrailAdjustment']);
+    }
+    if (!Number.isInteger(preservationEndYears) || preservationEndYears < 0) {
+        throw new InvalidParametersError('The capital preservation rule must stop a whole number of years before the end.', ['preservationEndYears']);
+    }
+    if (maxIncrease !== null && !(maxIncrease >= 0)) {
+        throw new InvalidParametersError('The cap on income increases cannot be negative.', ['maxIncomeIncrease']);
+    }
+    if (maxDecrease !== null && !(maxDecrease >= 0 && maxDecrease < 100)) {
+        throw new InvalidParametersError('The floor on income decreases must be from 0% to less than 100%.', ['maxIncomeDecrease']);
+    }
+}
+
+/**
+ * @param {AccumulationSettings} accumulation
+ */
+function validateAccumulation({ currentBalance, contribution, contributionIncrease = 0, growthRate, years }) {
+    if (!(currentBalance >= 0)) {
+        throw new InvalidParametersError('The current balance cannot be negative.', ['currentBalance']);
+    }
+    if (!(contribution >= 0)) {
+        throw new InvalidParametersError('The contribution cannot be negative.', ['contribution']);
+    }
+    if (!(contributionIncrease > -100)) {
+        throw new InvalidParametersError('The contribution increase must be greater than -100%.', ['contributionIncrease']);
+    }
+    if (!(growthRate > -100)) {
+        throw new InvalidParametersError('The growth rate must be greater than -100%.', ['growthRate']);
+    }
+    if (!Number.isInteger(years) || years < 0) {
+        throw new InvalidParametersError('The years until retirement must be a whole number.', ['accumulationYears']);
+    }
+}
+
+/**
+ * @param {AnnuityParams} params
+ * @returns {ScheduleParams}
+ */
+function getScheduleParams(params) {
+    if (!((params.annualIncrease ?? 0) > -100)) {
+        throw new InvalidParametersError('The annual increase must be greater than -100%.', ['annualIncrease']);
+    }
+    if (params.cashFlows) validateCashFlows(params.cashFlows);
+    validateFees(params);
+    validateEndingBalance(params);
+    if (params.life) validateLife(params.life);
+    if (params.accumulation) validateAccumulation(params.accumulation);
+    if (params.livingAnnuity) validateLivingAnnuity(params.livingAnnuity, params.life);
+    if (params.guardrails) validateGuardrails(params.guardrails, params);
+
+    const rateSchedule = params.rateSchedule?.length ? params.rateSchedule : null;
+    const life = params.life ?? null;
+    const paymentFrequency = params.paymentFrequency ?? DEFAULT_PAYMENT_FREQUENCY;
+    const paymentTiming = params.paymentTiming ?? DEFAULT_PAYMENT_TIMING;
+    const accumulation = params.accumulation ?? null;
+    return {
+        principal: accumulation ? getAccumulatedBalance(accumulation, paymentFrequency) : params.principal ?? 0,
+        annuityTerm: life ? getLifeAnnuityTerm(life) : params.annuityTerm ?? null,
+        interestRate: rateSchedule ? rateSchedule[0] : params.interestRate ?? 0,
+        rateSchedule,
+        compound: params.compound ?? DEFAULT_COMPOUND,
+        paymentFrequency,
+        paymentTiming,
+        income: params.income ?? 0,
+        annualIncrease: params.livingAnnuity ? 0 : params.annualIncrease ?? 0,
+        inflationRate: params.inflationRate ?? 0,
+        cashFlows: params.cashFlows ?? [],
+        assetFee: params.assetFee ?? 0,
+        adminFee: params.adminFee ?? 0,
+        initialFee: params.initialFee ?? 0,
+        tax: params.tax ?? null,
+        life,
+        survival: life ? getPaymentWeights(life, paymentFrequency, paymentTiming) : null,
+        accumulation,
+        endingBalance: params.endingBalance ?? 0,
+        livingAnnuity: params.livingAnnuity ?? null,
+        guardrails: params.guardrails ?? null,
+        perpetual: false,
+    };
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @returns {boolean}
+ */
+function hasFees({ assetFee, adminFee, initialFee }) {
+    return assetFee > 0 || adminFee > 0 || initialFee > 0;
+}
+
+/**
+ * @param {number} num
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function roundDown(num, decimals = 0) {
+    const exp = Math.pow(10, decimals);
+    return Math.floor(num * exp) / exp;
+}
+
+/**
+ * @param {number} num
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function roundUp(num, decimals = 0) {
+    const exp = Math.pow(10, decimals);
+    return Math.ceil(num * exp) / exp;
+}
+
+/**
+ * Rate per payment period for a nominal annual rate compounded `compound` times a year.
+ * @param {number} interestRate
+ * @param {number} compound
+ * @param {number} [paymentFrequency]
+ * @returns {number}
+ */
+export function getInterestPayRate(interestRate, compound, paymentFrequency = DEFAULT_PAYMENT_FREQUENCY) {
+    if (compound === Number.POSITIVE_INFINITY) {
+        return Math.exp(interestRate / 100 / paymentFrequency) - 1;
+    }
+    return Math.pow(1 + interestRate / 100 / compound, compound / paymentFrequency) - 1;
+}
+
+/**
+ * @param {number} interestRate
+ * @param {number} compound
+ * @returns {number} effective annual rate in %
+ */
+export function getEffectiveAnnualRate(interestRate, compound) {
+    return getInterestPayRate(interestRate, compound, 1) * 100;
+}
+
+/**
+ * Rate per payment period in the given year of the annuity.
+ * @param {ScheduleParams} params
+ * @param {number} year zero-based
+ * @returns {number}
+ */
+function getYearPayRate(params, year) {
+    const { interestRate, rateSchedule, compound, paymentFrequency } = params;
+    const rate = rateSchedule ? getScheduledRate(rateSchedule, year) : interestRate;
+    return getInterestPayRate(rate, compound, paymentFrequency);
+}
+
+/**
+ * Rate per payment period net of the management fee, which is what the balance grows at.
+ * @param {ScheduleParams} params
+ * @param {number} year zero-based
+ * @returns {number}
+ */
+function getYearNetRate(params, year) {
+    return getYearPayRate(params, year) - params.assetFee / 100 / params.paymentFrequency;
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @returns {number}
+ */
+function getAdminFeePerPeriod({ adminFee, paymentFrequency }) {
+    return adminFee * 12 / paymentFrequency;
+}
+
+/**
+ * Tax is worked out on each year's withdrawals, with the taxpayer a year older every year
+ * from `tax.age` in the first year of the schedule.
+ * @param {ResultList} periodResults
+ * @param {number} [paymentFrequency]
+ * @param {?TaxSettings} [tax]
+ * @returns {ResultList}
+ */
+export function getAnnualResults(periodResults, paymentFrequency = DEFAULT_PAYMENT_FREQUENCY, tax = null) {
+    let annualResults = [];
+
+    let totalInterest = 0;
+    let totalWithdrawn = 0;
+    let totalRealInterest = 0;
+    let totalRealWithdrawn = 0;
+    let totalTax = 0;
+
+    let annualInterest = 0;
+    let annualWithdrawals = 0;
+    let annualRealWithdrawals = 0;
+    let annualCashFlow = 0;
+    let annualFees = 0;
+    let annualContributions = 0;
+    let annualGuardrailRules = 0;
+    let annualStartBalance = undefined;
+
+    periodResults.forEach((item, index) => {
+        totalInterest += item.interestPayment;
+        totalWithdrawn += item.withdrawal;
+        totalRealInterest += item.realInterestPayment;
+        totalRealWithdrawn += item.realWithdrawal;
+        annualInterest += item.interestPayment;
+        annualWithdrawals += item.withdrawal;
+        annualRealWithdrawals += item.realWithdrawal;
+        annualCashFlow += item.cashFlow;
+        annualFees += item.fee;
+        annualContributions += item.contribution;
+        annualGuardrailRules |= item.guardrailRules ?? 0;
+        if (annualStartBalance === undefined) {
+            annualStartBalance = item.startBalance;
+        }
+
+        if ((index + 1) % paymentFrequency === 0 || (index + 1) === periodResults.length) {
+            const annualTax = tax ? getAnnualTax(tax.table, annualWithdrawals, tax.age + annualResults.length) : 0;
+            totalTax += annualTax;
+
+            annualResults.push({
+                startBalance: annualStartBalance,
+                endBalance: item.endBalance,
+                realEndBalance: item.realEndBalance,
+                interestPayment: annualInterest,
+                withdrawal: annualWithdrawals,
+                realWithdrawal: annualRealWithdrawals,
+                cashFlow: annualCashFlow,
+                fee: annualFees,
+                contribution: annualContributions,
+                tax: annualTax,
+                netWithdrawal: annualWithdrawals - annualTax,
+                guardrailRules: annualGuardrailRules,
+                totalInterest,
+                totalWithdrawn,
+                totalRealInterest,
+                totalRealWithdrawn,
+                totalTax,
+                totalNetWithdrawn: totalWithdrawn - totalTax
+            });
+            annualInterest = 0;
+            annualWithdrawals = 0;
+            annualRealWithdrawals = 0;
+            annualCashFlow = 0;
+            annualFees = 0;
+            annualContributions = 0;
+            annualGuardrailRules = 0;
+            annualStartBalance = undefined;
+        }
+    });
+
+    return annualResults;
+}
+
+/**
+ * Spreads each year's tax over its payments in proportion to the withdrawals, as PAYE would.
+ * @param {ResultList} periodResults
+ * @param {ResultList} annualResults from `getAnnualResults`
+ * @param {number} [paymentFrequency]
+ * @returns {ResultList}
+ */
+export function getPeriodTaxResults(periodResults, annualResults, paymentFrequency = DEFAULT_PAYMENT_FREQUENCY) {
+    return periodResults.map((item, index) => {
+        const { tax: annualTax, withdrawal: annualWithdrawal } = annualResults[Math.floor(index / paymentFrequency)];
+        const tax = annualWithdrawal > 0 ? annualTax * item.withdrawal / annualWithdrawal : 0;
+        return { ...item, tax, netWithdrawal: item.withdrawal - tax };
+    });
+}
+
+/**
+ * Credits interest and takes the withdrawal for one payment period, in the order set by the payment timing.
+ * The management fee is charged on the balance that earns interest, and the fixed fee is taken with the income.
+ * @param {number} balance
+ * @param {number} ratePayB
+ * @param {number} income
+ * @param {PaymentTiming} paymentTiming
+ * @param {number} [feeRate] management fee per payment period
+ * @param {number} [fixedFee] admin fee per payment period
+ * @param {number} [reserve] balance the withdrawal and the fixed fee cannot take
+ */
+export function applyPeriod(balance, ratePayB, income, paymentTiming, feeRate = 0, fixedFee = 0, reserve = 0) {
+    if (paymentTiming === 'beginning') {
+        const withdrawal = Math.max(0, Math.min(balance - reserve, income));
+        const adminFee = Math.max(0, Math.min(balance - reserve - withdrawal, fixedFee));
+        const invested = balance - withdrawal - adminFee;
+        const interestPayment = invested * ratePayB;
+        const fee = adminFee + invested * feeRate;
+        return { interestPayment, withdrawal, fee, endBalance: invested + interestPayment - invested * feeRate };
+    }
+
+    const interestPayment = balance * ratePayB;
+    const available = balance + interestPayment - balance * feeRate;
+    const withdrawal = Math.max(0, Math.min(available - reserve, income));
+    const adminFee = Math.max(0, Math.min(available - reserve - withdrawal, fixedFee));
+    return {
+        interestPayment,
+        withdrawal,
+        fee: balance * feeRate + adminFee,
+        endBalance: available - withdrawal - adminFee,
+    };
+}
+
+/**
+ * The schedule starts with the accumulation phase, if any, followed by the payout.
+ * @param {ScheduleParams} params
+ */
+export function calculateResult(params) {
+    const {
+        principal,
+        annuityTerm,
+        paymentFrequency,
+        paymentTiming,
+        income: initialIncome,
+        annualIncrease,
+        inflationRate,
+        cashFlows,
+        assetFee,
+        initialFee,
+        survival,
+        accumulation,
+        endingBalance,
+        livingAnnuity,
+        guardrails,
+        perpetual,
+    } = params;
+    let ratePayB = getYearPayRate(params, 0);
+    const feeRate = assetFee / 100 / paymentFrequency;
+    const adminFee = getAdminFeePerPeriod(params);
+    const inflationPayB = Math.pow(1 + inflationRate / 100, 1 / paymentFrequency);
+
+    const results = [];
+    let balance = principal;
+    let income = initialIncome;
+
+    const accumulationPeriods = accumulation ? getAccumulationPeriods(accumulation, paymentFrequency) : [];
+    accumulationPeriods.forEach(({ startBalance, growth, contribution, endBalance }, index) => {
+        const deflator = Math.pow(inflationPayB, -(index + 1));
+        results.push({
+            startBalance,
+            endBalance,
+            realEndBalance: endBalance * deflator,
+            interestPayment: growth,
+            realInterestPayment: growth * deflator,
+            withdrawal: 0,
+            realWithdrawal: 0,
+            cashFlow: 0,
+            fee: 0,
+            contribution,
+            guardrailRules: 0,
+        });
+    });
+    // Real values are in today's money, so the payout is deflated over the accumulation phase too.
+    const offset = accumulationPeriods.length;
+
+    // Guardrails measure the withdrawal rate against the first year's, and the return over each year.
+    let initialWithdrawalRate = 0;
+    let yearStartBalance = balance;
+    let yearInterest = 0;
+
+    // A fixed term runs its course even while the balance is still growing towards an ending balance above it.
+    const fixedTermPeriods = annuityTerm ? getTermPeriods(params) : 0;
+
+    let i = 0;
+    // The ending balance is kept back, so the payout ends when the balance falls to it.
+    while (balance - endingBalance >= 0.01 || (endingBalance > 0 && i < fixedTermPeriods && balance >= 0.01)) {
+        // Whatever is left after the last possible life annuity payment is not paid out.
+        if (survival && i >= survival.length) break;
+        // A living annuity never runs the balance down, guardrails may cut the income so it does not,
+        // and a perpetual income never does, so all of them are drawn for the term.
+        if ((livingAnnuity || guardrails || perpetual) && i >= getTermPeriods(params)) break;
+        let guardrailRules = 0;
+        if (i > 0 && i % paymentFrequency === 0) {
+            if (guardrails) {
+                const decision = applyGuardrails(guardrails, {
+                    income,
+                    annualIncrease,
+                    balance,
+                    initialRate: initialWithdrawalRate,
+                    lastYearReturn: yearInterest / yearStartBalance,
+                    yearsLeft: annuityTerm - i / paymentFrequency,
+                }, paymentFrequency);
+                income = decision.income;
+                guardrailRules = decision.rules;
+                yearStartBalance = balance;
+                yearInterest = 0;
+            } else if (!livingAnnuity) {
+                income *= 1 + annualIncrease / 100;
+            }
+            ratePayB = getYearPayRate(params, i / paymentFrequency);
+        }
+        if (annuityTerm && i > 2 * annuityTerm * paymentFrequency) {
+            throw getUnusedPrincipalError(params);
+        } else if (!annuityTerm && i > CALCULATION_LIMIT_YEARS * paymentFrequency) {
+            throw new CalculationTooLongError(['income']);
+        }
+
+        const startBalance = balance;
+        const initialCharge = i === 0 ? balance * initialFee / 100 : 0;
+        balance -= initialCharge;
+        if (livingAnnuity && i % paymentFrequency === 0) {
+            income = getLivingAnnuityIncome(balance, livingAnnuity, paymentFrequency);
+        }
+        if (i === 0) {
+            initialWithdrawalRate = income * paymentFrequency / balance;
+            yearStartBalance = balance;
+        }
+
+        // Cash-flow events land at the start of the period, and a withdrawal can only take what is there.
+        const cashFlow = cashFlows.length ? Math.max(getPeriodCashFlow(cashFlows, i, paymentFrequency), -balance) : 0;
+
+        // A life annuity pays out each payment in proportion to the annuitants still alive to receive it.
+        const weight = survival ? survival[i] : 1;
+        // Paid in advance, what is kept back still earns the period's interest on its way to the ending balance.
+        // Over a fixed term it is only kept back at the end, as the balance may start below it.
+        const reserve = i < fixedTermPeriods - 1
+            ? 0
+            : paymentTiming === 'beginning' ? endingBalance / (1 + ratePayB - feeRate) : endingBalance;
+        const { interestPayment, withdrawal, fee, endBalance } = applyPeriod(
+            balance + cashFlow, ratePayB, income * weight, paymentTiming, feeRate, adminFee * weight, reserve
+        );
+        balance = endBalance;
+        yearInterest += interestPayment;
+
+        const endDeflator = Math.pow(inflationPayB, -(offset + i + 1));
+        const withdrawalDeflator = paymentTiming === 'beginning' ? endDeflator * inflationPayB : endDeflator;
+
+        results.push({
+            startBalance,
+            endBalance: balance,
+            realEndBalance: balance * endDeflator,
+            interestPayment,
+            realInterestPayment: interestPayment * endDeflator,
+            withdrawal,
+            realWithdrawal: withdrawal * withdrawalDeflator,
+            cashFlow,
+            fee: fee + initialCharge,
+            contribution: 0,
+            guardrailRules,
+        });
+
+        i++;
+    }
+
+    const actualAnnuityTerm = (results.length - offset) / paymentFrequency;
+
+    const finalDeflator = Math.pow(inflationPayB, -(offset + (paymentTiming === 'beginning' ? i - 1 : i)));
+
+    return { results, actualAnnuityTerm, finalIncome: income, finalRealIncome: income * finalDeflator };
+}
+
+/**
+ * @param {number} ratio
+ * @param {number} count
+ * @returns {number} 1 + ratio + ... + ratio^(count - 1)
+ */
+function geometricSum(ratio, count) {
+    return ratio === 1 ? count : (1 - Math.pow(ratio, count)) / (1 - ratio);
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @returns {number} number of payment periods in the term
+ */
+function getTermPeriods(params) {
+    return Math.round(/** @type {number} */ (params.annuityTerm) * params.paymentFrequency);
+}
+
+/**
+ * Present value of the first `periods` payments per unit of initial income,
+ * with the income escalating once a year.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+export function getAnnuityFactor(params, periods) {
+    const { paymentFrequency, paymentTiming, annualIncrease } = params;
+    if (params.survival) return getLifeAnnuityFactor(params, periods);
+    if (params.rateSchedule) return getScheduledAnnuityFactor(params, periods);
+
+    const ratePayB = getYearNetRate(params, 0);
+    const v = 1 / (1 + ratePayB);
+
+    const years = Math.floor(periods / paymentFrequency);
+    const remainder = periods - years * paymentFrequency;
+    const yearRatio = (1 + annualIncrease / 100) * Math.pow(v, paymentFrequency);
+
+    const factor = v * geometricSum(v, paymentFrequency) * geometricSum(yearRatio, years)
+        + Math.pow(yearRatio, years) * v * geometricSum(v, remainder);
+
+    return paymentTiming === 'beginning' ? factor * (1 + ratePayB) : factor;
+}
+
+/**
+ * `getAnnuityFactor` for a rate schedule: each year's payments are valued at that year's rate
+ * and discounted over the years before it.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+function getScheduledAnnuityFactor(params, periods) {
+    const { paymentFrequency, paymentTiming, annualIncrease } = params;
+
+    let factor = 0;
+    let discount = 1;
+    let escalation = 1;
+    for (let year = 0; year * paymentFrequency < periods; year++) {
+        const ratePayB = getYearNetRate(params, year);
+        const v = 1 / (1 + ratePayB);
+        const count = Math.min(paymentFrequency, periods - year * paymentFrequency);
+        const yearFactor = escalation * discount * v * geometricSum(v, count);
+
+        factor += paymentTiming === 'beginning' ? yearFactor * (1 + ratePayB) : yearFactor;
+        discount *= Math.pow(v, paymentFrequency);
+        escalation *= 1 + annualIncrease / 100;
+    }
+
+    return factor;
+}
+
+/**
+ * `getAnnuityFactor` for a life annuity: every payment is discounted on its own and weighted
+ * by the chance of it being paid.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+function getLifeAnnuityFactor(params, periods) {
+    const { paymentFrequency, paymentTiming, annualIncrease } = params;
+    const survival = /** @type {number[]} */ (params.survival);
+
+    let factor = 0;
+    let discount = 1;
+    let escalation = 1;
+    let ratePayB = getYearNetRate(params, 0);
+    for (let i = 0; i < Math.min(periods, survival.length); i++) {
+        if (i > 0 && i % paymentFrequency === 0) {
+            ratePayB = getYearNetRate(params, i / paymentFrequency);
+            escalation *= 1 + annualIncrease / 100;
+        }
+        if (paymentTiming === 'end') discount /= 1 + ratePayB;
+        factor += survival[i] * escalation * discount;
+        if (paymentTiming === 'beginning') discount /= 1 + ratePayB;
+    }
+
+    return factor;
+}
+
+/**
+ * `getAnnuityFactor` over every payment forever, `Infinity` when the income rises at least as fast as the balance grows.
+ * A rate schedule's final rate carries on forever.
+ * @param {ScheduleParams} params
+ * @returns {number}
+ */
+function getPerpetuityFactor(params) {
+    const { rateSchedule, paymentFrequency, paymentTiming, annualIncrease } = params;
+    const scheduledYears = rateSchedule ? rateSchedule.length - 1 : 0;
+
+    const ratePayB = getYearNetRate(params, scheduledYears);
+    const v = 1 / (1 + ratePayB);
+    const yearRatio = (1 + annualIncrease / 100) * Math.pow(v, paymentFrequency);
+    if (!(yearRatio < 1)) return Number.POSITIVE_INFINITY;
+
+    const yearFactor = v * geometricSum(v, paymentFrequency) * (paymentTiming === 'beginning' ? 1 + ratePayB : 1);
+    const scheduledPeriods = scheduledYears * paymentFrequency;
+    const tail = getDiscountFactor(params, scheduledPeriods) * Math.pow(1 + annualIncrease / 100, scheduledYears)
+        * yearFactor / (1 - yearRatio);
+
+    return (scheduledPeriods > 0 ? getAnnuityFactor(params, scheduledPeriods) : 0) + tail;
+}
+
+/**
+ * Present value at the start of the annuity of 1 at the end of the first `periods` payment periods.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+function getDiscountFactor(params, periods) {
+    const { paymentFrequency } = params;
+
+    let discount = 1;
+    for (let year = 0; year * paymentFrequency < periods; year++) {
+        const count = Math.min(paymentFrequency, periods - year * paymentFrequency);
+        discount /= Math.pow(1 + getYearNetRate(params, year), count);
+    }
+
+    return discount;
+}
+
+/**
+ * Present value at the start of the annuity of the cash-flow events in the first `periods` payment periods.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+export function getCashFlowPresentValue(params, periods) {
+    const { cashFlows, paymentFrequency } = params;
+    if (!cashFlows.length) return 0;
+
+    let presentValue = 0;
+    let discount = 1;
+    let ratePayB = getYearNetRate(params, 0);
+    for (let i = 0; i < periods; i++) {
+        if (i > 0 && i % paymentFrequency === 0) ratePayB = getYearNetRate(params, i / paymentFrequency);
+        presentValue += getPeriodCashFlow(cashFlows, i, paymentFrequency) * discount;
+        discount /= 1 + ratePayB;
+    }
+
+    return presentValue;
+}
+
+/**
+ * Highest initial income per payment period that the principal can pay forever, level and rising by the annual increase.
+ * The admin fees are paid forever too, and the cash-flow events are counted up to the calculation limit.
+ * @param {ScheduleParams} params
+ * @returns {{ level: ?number, growing: ?number }} `null` for life and living annuities, which do not run forever,
+ * and `growing` is `null` when no income can rise by the annual increase forever
+ */
+export function getSustainableIncome(params) {
+    if (params.survival || params.livingAnnuity) return { level: null, growing: null };
+
+    const levelParams = { ...params, annualIncrease: 0 };
+    const levelFactor = getPerpetuityFactor(levelParams);
+    const adminFees = params.adminFee > 0 && isFinite(levelFactor) ? getAdminFeePerPeriod(params) * levelFactor : 0;
+    const available = params.principal * (1 - params.initialFee / 100) - adminFees
+        + getCashFlowPresentValue(params, CALCULATION_LIMIT_YEARS * params.paymentFrequency);
+    /** @param {number} factor */
+    const getIncome = (factor) => isFinite(factor) ? Math.max(0, available / factor) : null;
+
+    return {
+        level: getIncome(levelFactor),
+        growing: params.annualIncrease === 0 ? getIncome(levelFactor) : getIncome(getPerpetuityFactor(params)),
+    };
+}
+
+/**
+ * Number of payment periods the principal lasts, `Infinity` when the income never exhausts it.
+ * @param {ScheduleParams} params
+ * @returns {number}
+ */
+export function getAnalyticPeriods(params) {
+    const { rateSchedule, paymentFrequency, paymentTiming, annualIncrease } = params;
+    if (!rateSchedule) return getFixedRateAnalyticPeriods(params);
+
+    // Step through the years the schedule sets out, then solve the rest at the final rate.
+    let principal = params.principal;
+    let income = params.income;
+    for (let year = 0; year < rateSchedule.length - 1; year++) {
+        const interestRate = rateSchedule[year];
+        const periods = getFixedRateAnalyticPeriods({ ...params, rateSchedule: null, interestRate, principal, income });
+        if (periods <= paymentFrequency) return year * paymentFrequency + periods;
+
+        const growth = 1 + getYearNetRate(params, year);
+        const payment = paymentTiming === 'beginning' ? income * growth : income;
+        principal = principal * Math.pow(growth, paymentFrequency) - payment * geometricSum(growth, paymentFrequency);
+        income *= 1 + annualIncrease / 100;
+    }
+
+    const interestRate = rateSchedule[rateSchedule.length - 1];
+    return (rateSchedule.length - 1) * paymentFrequency
+        + getFixedRateAnalyticPeriods({ ...params, rateSchedule: null, interestRate, principal, income });
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @returns {number}
+ */
+function getFixedRateAnalyticPeriods(params) {
+    const { principal, income, paymentFrequency, paymentTiming, annualIncrease } = params;
+    const ratePayB = getYearNetRate(params, 0);
+    const v = 1 / (1 + ratePayB);
+    const payment = paymentTiming === 'beginning' ? income * (1 + ratePayB) : income;
+    if (payment <= 0) return Number.POSITIVE_INFINITY;
+
+    const yearFactor = payment * v * geometricSum(v, paymentFrequency);
+    const yearRatio = (1 + annualIncrease / 100) * Math.pow(v, paymentFrequency);
+
+    let years;
+    if (yearRatio === 1) {
+        years = Math.floor(principal / yearFactor);
+    } else {
+        const remaining = 1 - principal * (1 - yearRatio) / yearFactor;
+        if (remaining <= 0) return Number.POSITIVE_INFINITY;
+        years = Math.floor(Math.log(remaining) / Math.log(yearRatio));
+    }
+
+    const shortfall = (principal - yearFactor * geometricSum(yearRatio, years)) / (payment * Math.pow(yearRatio, years));
+    const periods = ratePayB === 0
+        ? shortfall
+        : Math.log(1 - shortfall * ratePayB) / Math.log(v);
+
+    return years * paymentFrequency + Math.max(0, Math.ceil(periods - 1e-9));
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @param {SolverStatus} [solver]
+ * @returns {AnnuityResult}
+ */
+function summarizeResults(params, solver = CLOSED_FORM_SOLVER) {
+    const { results, actualAnnuityTerm, finalIncome, finalRealIncome } = calculateResult(params);
+    const {
+        principal,
+        interestRate,
+        rateSchedule,
+        compound,
+        paymentFrequency,
+        paymentTiming,
+        income,
+        annualIncrease,
+        inflationRate,
+        cashFlows,
+        assetFee,
+        adminFee,
+        initialFee,
+        tax,
+        life,
+        accumulation,
+        livingAnnuity,
+        guardrails,
+        perpetual,
+    } = params;
+    const accumulationYears = accumulation?.years ?? 0;
+    const payoutResults = results.slice(Math.round(accumulationYears * paymentFrequency));
+
+    const totalWithdrawn = results.map(it => it.withdrawal).reduce((a, b) => a + b);
+    const totalInterest = results.map(it => it.interestPayment).reduce((a, b) => a + b);
+    const totalRealWithdrawn = results.map(it => it.realWithdrawal).reduce((a, b) => a + b);
+    const totalRealInterest = results.map(it => it.realInterestPayment).reduce((a, b) => a + b);
+    const totalCashFlowDeposits = results.map(it => Math.max(it.cashFlow, 0)).reduce((a, b) => a + b);
+    const totalCashFlowWithdrawals = results.map(it => Math.max(-it.cashFlow, 0)).reduce((a, b) => a + b);
+    const totalFees = results.map(it => it.fee).reduce((a, b) => a + b);
+    const totalContributions = results.map(it => it.contribution).reduce((a, b) => a + b);
+    const annualResults = getAnnualResults(results, paymentFrequency, tax && { ...tax, age: tax.age - accumulationYears });
+    const { totalTax, totalNetWithdrawn } = annualResults[annualResults.length - 1];
+    const firstPayoutYear = annualResults[accumulationYears];
+    const netIncome = income * (1 - firstPayoutYear.tax / Math.max(firstPayoutYear.withdrawal, Number.MIN_VALUE));
+    const initialAnnualIncome = income * Math.min(paymentFrequency, payoutResults.length);
+    const lastResult = results[results.length - 1];
+    const drawDown = initialAnnualIncome / Math.max(principal, initialAnnualIncome) * 100;
+    /** @param {number} rule */
+    const countRuleYears = (rule) => annualResults.filter(it => it.guardrailRules & rule).length;
+    const sustainable = getSustainableIncome(params);
+
+    return {
+        calculationResults: results,
+        summary: {
+            principal,
+            annuityTerm: actualAnnuityTerm,
+            interestRate,
+            rateSchedule,
+            effectiveAnnualRate: getEffectiveAnnualRate(interestRate, compound),
+            paymentFrequency,
+            paymentTiming,
+            income,
+            annualIncrease,
+            initialAnnualIncome,
+            drawDown,
+            totalWithdrawn,
+            totalInterest,
+            inflationRate,
+            finalIncome,
+            finalRealIncome,
+            totalRealWithdrawn,
+            totalRealInterest,
+            cashFlows,
+            totalCashFlowDeposits,
+            totalCashFlowWithdrawals,
+            assetFee,
+            adminFee,
+            initialFee,
+            totalFees,
+            taxTable: tax?.table.name ?? null,
+            totalTax,
+            totalNetWithdrawn,
+            netIncome,
+            lifeExpectancy: life ? getPayoutExpectancy(life) : null,
+            guaranteeYears: life?.guaranteeYears ?? 0,
+            survivorPercent: life?.joint?.survivorPercent ?? null,
+            accumulation,
+            accumulationYears,
+            totalContributions,
+            endingBalance: lastResult.endBalance,
+            realEndingBalance: lastResult.realEndBalance,
+            livingAnnuity,
+            guardrails,
+            incomeCutYears: countRuleYears(GUARDRAIL_RULES.capitalPreservation),
+            incomeRaiseYears: countRuleYears(GUARDRAIL_RULES.prosperity),
+            perpetual: perpetual && actualAnnuityTerm >= /** @type {number} */ (params.annuityTerm),
+            sustainableIncome: sustainable.level,
+            sustainableGrowingIncome: sustainable.growing,
+            feeFree: null,
+            solver,
+        }
+    }
+}
+
+/**
+ * Adds the result of the same calculation without fees, to show what the fees cost.
+ * @param {CalcFunc} calcFunc
+ * @param {AnnuityParams} params
+ * @param {AnnuityResult} result
+ * @returns {AnnuityResult}
+ */
+function addFeeFreeComparison(calcFunc, params, result) {
+    const { summary } = result;
+    if (!(summary.assetFee > 0 || summary.adminFee > 0 || summary.initialFee > 0)) return result;
+
+    try {
+        const { summary: feeFree } = calcFunc({ ...params, assetFee: 0, adminFee: 0, initialFee: 0 });
+        summary.feeFree = {
+            principal: feeFree.principal,
+            annuityTerm: feeFree.annuityTerm,
+            interestRate: feeFree.interestRate,
+            income: feeFree.income,
+            annualIncrease: feeFree.annualIncrease,
+            perpetual: feeFree.perpetual,
+        };
+    } catch (error) {
+        if (!(error instanceof AnnuityError)) throw error;
+    }
+
+    return result;
+}
+
+/**
+ * Present value of what the principal pays for besides the regular income:
+ * the admin fees and the ending balance, less the cash-flow events.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+function getOtherPresentValue(params, periods) {
+    const adminFees = params.adminFee > 0
+        ? getAdminFeePerPeriod(params) * getAnnuityFactor({ ...params, annualIncrease: 0 }, periods)
+        : 0;
+    const endingBalance = params.endingBalance > 0
+        ? params.endingBalance * getDiscountFactor(params, periods)
+        : 0;
+    return adminFees + endingBalance - getCashFlowPresentValue(params, periods);
+}
+
+/**
+ * Income per payment period that the principal pays exactly over `periods`, after everything else it pays for.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {number}
+ */
+function getFundedIncome(params, periods) {
+    return (params.principal * (1 - params.initialFee / 100) - getOtherPresentValue(params, periods))
+        / getAnnuityFactor(params, periods);
+}
+
+/**
+ * Smallest amount in cents that is more than `amount`.
+ * @param {number} amount
+ * @returns {number}
+ */
+function getNextCent(amount) {
+    return Math.floor(amount * 100 + 1) / 100;
+}
+
+/**
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @returns {InfeasibleParametersError}
+ */
+function getUnfundedPrincipalError(params, periods) {
+    const { initialFee, endingBalance } = params;
+    return new InfeasibleParametersError(
+        'The principal does not cover the admin fees, the ending balance and the cash-flow withdrawals, with nothing left for the income.',
+        { field: 'principal', bound: 'min', value: getNextCent(getOtherPresentValue(params, periods) / (1 - initialFee / 100)) },
+        endingBalance > 0 ? ['principal', 'endingBalance', 'cashFlows'] : ['principal', 'cashFlows']
+    );
+}
+
+/**
+ * The balance outlasts the term by so much that the income was never going to use it up.
+ * @param {ScheduleParams} params
+ * @returns {InfeasibleParametersError}
+ */
+function getUnusedPrincipalError(params) {
+    const periods = getTermPeriods(params);
+    const funded = getFundedIncome(params, periods);
+    if (funded <= 0) return getUnfundedPrincipalError(params, periods);
+    return new InfeasibleParametersError(
+        'The income is too low to use up the principal over the term.',
+        { field: 'income', bound: 'min', value: getNextCent(funded) }
+    );
+}
+
+/**
+ * Explains why no value of the parameter being solved for, within its supported range, pays the income exactly.
+ * @param {ScheduleParams} params
+ * @param {number} periods
+ * @param {(value: number) => ScheduleParams} withValue sets the parameter being solved for
+ * @param {number} mostIncome end of the range where the principal pays the highest income
+ * @param {number} leastIncome end of the range where the principal pays the lowest income
+ * @param {{ tooHigh: string, tooLow: string }} messages
+ * @returns {InfeasibleParametersError}
+ */
+function getInfeasibleIncomeError(params, periods, withValue, mostIncome, leastIncome, messages) {
+    const highest = getFundedIncome(withValue(mostIncome), periods);
+    if (highest <= 0) return getUnfundedPrincipalError(withValue(mostIncome), periods);
+    if (params.income > highest) {
+        return new InfeasibleParametersError(messages.tooHigh, { field: 'income', bound: 'max', value: roundDown(highest, 2) });
+    }
+
+    const lowest = getFundedIncome(withValue(leastIncome), periods);
+    return new InfeasibleParametersError(messages.tooLow, { field: 'income', bound: 'min', value: getNextCent(lowest) });
+}
+
+/**
+ * For a living annuity this is the first year's income, which is reset every year.
+ * @type {CalcFunc}
+ */
+export function calculateIncome(params) {
+    requireParams(params, ['principal', 'annuityTerm', 'interestRate', 'annualIncrease']);
+    const scheduleParams = getScheduleParams(params);
+
+    const { principal, initialFee, paymentFrequency, livingAnnuity } = scheduleParams;
+    if (livingAnnuity) {
+        const income = getLivingAnnuityIncome(principal * (1 - initialFee / 100), livingAnnuity, paymentFrequency);
+        return addFeeFreeComparison(calculateIncome, params, summarizeResults({ ...scheduleParams, income }));
+    }
+
+    const periods = getTermPeriods(scheduleParams);
+    const fundedPrincipal = principal * (1 - initialFee / 100) - getOtherPresentValue(scheduleParams, periods);
+    if (fundedPrincipal <= 0) {
+        throw getUnfundedPrincipalError(scheduleParams, periods);
+    }
+
+    const income = roundUp(fundedPrincipal / getAnnuityFactor(scheduleParams, periods), 2);
+
+    return addFeeFreeComparison(calculateIncome, params, summarizeResults({ ...scheduleParams, income }));
+}
+
+/**
+ * An income the principal can pay forever has no term, so it is scheduled over a representative horizon instead.
+ * Events can still run the balance out before a later deposit, in which case the schedule ends there as usual.
+ * @param {ScheduleParams} params without a term
+ * @returns {ScheduleParams} scheduled until the principal runs out, or over the horizon when it never does
+ */
+function getOpenEndedScheduleParams(params) {
+    const { growing } = getSustainableIncome(params);
+    return growing !== null && params.income <= growing * (1 + 1e-9)
+        ? { ...params, annuityTerm: PERPETUITY_HORIZON_YEARS, perpetual: true }
+        : params;
+}
+
+/**
+ * For a life annuity this is how long the pooled principal lasts, up to the end of the mortality tables.
+ * @type {CalcFunc}
+ */
+export function calculateAnnuityTerm(params) {
+    requireParams(params, ['principal', 'interestRate', 'income', 'annualIncrease']);
+    rejectParams(params, ['livingAnnuity', 'guardrails']);
+    // The term is the unknown, so one passed in must not cut the schedule short.
+    const scheduleParams = getScheduleParams({ ...params, annuityTerm: null });
+
+    const { principal, income, initialFee, cashFlows, adminFee, survival, endingBalance } = scheduleParams;
+    if (principal - endingBalance < 0.01) {
+        throw new InfeasibleParametersError(
+            'The principal is not above the ending balance, so there is nothing to fall to it.',
+            { field: 'endingBalance', bound: 'max', value: Math.ceil(principal * 100 - 1) / 100 }
+        );
+    }
+
+    const openEndedParams = getOpenEndedScheduleParams(scheduleParams);
+    if (openEndedParams.perpetual) {
+        return addFeeFreeComparison(calculateAnnuityTerm, params, summarizeResults(openEndedParams));
+    }
+
+    // With cash-flow events, admin fees, an ending balance or a life annuity the term is only known from the simulation,
+    // which has its own limit.
+    const periods = cashFlows.length || adminFee > 0 || endingBalance > 0 || survival
+        ? 0
+        : getAnalyticPeriods({ ...scheduleParams, principal: principal * (1 - initialFee / 100) });
+    if (periods > CALCULATION_LIMIT_YEARS * scheduleParams.paymentFrequency) {
+        throw new CalculationTooLongError(['income']);
+    }
+
+    return addFeeFreeComparison(calculateAnnuityTerm, params, summarizeResults(scheduleParams));
+}
+
+/**
+ * The principal needed when the payout starts, so an accumulation phase is ignored; see `calculateRequiredContribution`.
+ * @type {CalcFunc}
+ */
+export function calculateStartingPrincipal(params) {
+    requireParams(params, ['annuityTerm', 'interestRate', 'income', 'annualIncrease']);
+    rejectParams(params, ['livingAnnuity']);
+    const scheduleParams = getScheduleParams({ ...params, accumulation: null });
+
+    const { income, initialFee } = scheduleParams;
+    const periods = getTermPeriods(scheduleParams);
+    const annuityFactor = getAnnuityFactor(scheduleParams, periods);
+    const otherPresentValue = getOtherPresentValue(scheduleParams, periods);
+    const principal = roundDown((income * annuityFactor + otherPresentValue) / (1 - initialFee / 100), 2);
+    if (principal <= 0) {
+        throw new InfeasibleParametersError(
+            'The cash-flow deposits pay for the income on their own, so no principal is needed.',
+            { field: 'income', bound: 'min', value: getNextCent(-otherPresentValue / annuityFactor) },
+            ['income', 'cashFlows']
+        );
+    }
+
+    return addFeeFreeComparison(calculateStartingPrincipal, params, summarizeResults({ ...scheduleParams, principal }));
+}
+
+/**
+ * `calculateStartingPrincipal` for an income after tax: the income is grossed up so that the first year
+ * pays the target after tax, and the gross income escalates from there.
+ * @type {CalcFunc}
+ */
+export function calculateStartingPrincipalForNetIncome(params) {
+    requireParams(params, ['annuityTerm', 'interestRate', 'income', 'annualIncrease', 'tax']);
+    const { tax, income, life, paymentFrequency = DEFAULT_PAYMENT_FREQUENCY } = params;
+    const annuityTerm = life ? getLifeAnnuityTerm(life) : /** @type {number} */ (params.annuityTerm);
+    const firstYearPeriods = Math.min(paymentFrequency, Math.round(annuityTerm * paymentFrequency));
+
+    const { table, age } = /** @type {TaxSettings} */ (tax);
+    const { root, iterations, converged } = getGrossIncome(table, /** @type {number} */ (income) * firstYearPeriods, age);
+    /** @type {SolverStatus} */
+    const solver = { method: 'brent', iterations, converged };
+    if (!converged) {
+        throw new CalculationFailedError(['income'], solver);
+    }
+
+    const result = calculateStartingPrincipal({ ...params, income: roundUp(root / firstYearPeriods, 2) });
+    result.summary.solver = solver;
+    return result;
+}
+
+/**
+ * Monthly contribution during the accumulation phase that builds up the principal the income needs.
+ * @param {AnnuityParams} params with the `accumulation` whose contribution is solved for
+ * @param {CalcFunc} [principalFunc] finds the principal needed, e.g. `calculateStartingPrincipalForNetIncome`
+ * @returns {AnnuityResult}
+ */
+export function calculateRequiredContribution(params, principalFunc = calculateStartingPrincipal) {
+    requireParams(params, ['accumulation']);
+    const accumulation = /** @type {AccumulationSettings} */ (params.accumulation);
+    validateAccumulation({ ...accumulation, contribution: 0 });
+
+    const { summary } = principalFunc({ ...params, accumulation: null });
+    const required = getRequiredContribution(accumulation, summary.principal, summary.paymentFrequency);
+    if (!Number.isFinite(required)) {
+        throw new CalculationFailedError(['accumulationYears']);
+    }
+
+    // Rounded down like the principal. When the current balance is enough on its own the income outlasts the term,
+    // so the schedule runs until the balance is used up, except for guardrails, which always stop at the end of the term.
+    const contribution = roundDown(required, 2);
+    const contributionParams = { ...params, income: summary.income, accumulation: { ...accumulation, contribution } };
+    const scheduleParams = contribution > 0 || params.guardrails
+        ? getScheduleParams(contributionParams)
+        : getOpenEndedScheduleParams(getScheduleParams({ ...contributionParams, annuityTerm: null }));
+
+    return addFeeFreeComparison(
+        (feeFreeParams) => calculateRequiredContribution(feeFreeParams, principalFunc),
+        params,
+        summarizeResults(scheduleParams, summary.solver)
+    );
+}
+
+/**
+ * Solves for a single fixed rate, so any rate schedule is ignored.
+ * @type {CalcFunc}
+ */
+export function calculateInterestRate(params) {
+    requireParams(params, ['principal', 'annuityTerm', 'income', 'annualIncrease']);
+    rejectParams(params, ['livingAnnuity']);
+    const scheduleParams = { ...getScheduleParams(params), rateSchedule: null };
+    const { principal, income, initialFee } = scheduleParams;
+    const periods = getTermPeriods(scheduleParams);
+
+    /** @param {number} rate */
+    const presentValueGap = (rate) => {
+        const rateParams = { ...scheduleParams, interestRate: rate };
+        return income * getAnnuityFactor(rateParams, periods) + getOtherPresentValue(rateParams, periods)
+            - principal * (1 - initialFee / 100);
+    };
+
+    const bracket = bracketRoot(presentValueGap, 0, 10, { min: MIN_INTEREST_RATE, max: MAX_INTEREST_RATE });
+    if (!bracket) {
+        throw getInfeasibleIncomeError(
+            scheduleParams, periods, (interestRate) => ({ ...scheduleParams, interestRate }), MAX_INTEREST_RATE, MIN_INTEREST_RATE,
+            {
+                tooHigh: `The income is more than any interest rate up to ${MAX_INTEREST_RATE}% can pay.`,
+                tooLow: `The income is too low: even an interest rate of ${MIN_INTEREST_RATE}% would leave money over.`,
+            }
+        );
+    }
+
+    const { root, iterations, converged } = findRoot(presentValueGap, bracket.lower, bracket.upper);
+    /** @type {SolverStatus} */
+    const solver = { method: 'brent', iterations, converged };
+    if (!converged) {
+        throw new CalculationFailedError(['income'], solver);
+    }
+
+    const interestRate = roundDown(root, 3);
+
+    return addFeeFreeComparison(calculateInterestRate, params, summarizeResults({ ...scheduleParams, interestRate }, solver));
+}
+
+/**
+ * Solves for the annual increase in the income, which can be negative for an income that decreases every year.
+ * @type {CalcFunc}
+ */
+export function calculateAnnualIncrease(params) {
+    requireParams(params, ['principal', 'annuityTerm', 'interestRate', 'income']);
+    rejectParams(params, ['livingAnnuity']);
+    const scheduleParams = getScheduleParams({ ...params, annualIncrease: 0 });
+    const { principal, income, initialFee } = scheduleParams;
+    const periods = getTermPeriods(scheduleParams);
+    const otherPresentValue = getOtherPresentValue(scheduleParams, periods);
+
+    /** @param {number} annualIncrease */
+    const presentValueGap = (annualIncrease) => income * getAnnuityFactor({ ...scheduleParams, annualIncrease }, periods)
+        + otherPresentValue - principal * (1 - initialFee / 100);
+
+    const bracket = bracketRoot(presentValueGap, 0, 10, { min: MIN_ANNUAL_INCREASE, max: MAX_ANNUAL_INCREASE });
+    if (!bracket) {
+        throw getInfeasibleIncomeError(
+            scheduleParams, periods, (annualIncrease) => ({ ...scheduleParams, annualIncrease }), MIN_ANNUAL_INCREASE, MAX_ANNUAL_INCREASE,
+            {
+                tooHigh: `The income is more than the principal can pay, even falling ${-MIN_ANNUAL_INCREASE}% every year.`,
+                tooLow: `The income is too low: even rising ${MAX_ANNUAL_INCREASE}% every year it would leave money over.`,
+            }
+        );
+    }
+
+    const { root, iterations, converged } = findRoot(presentValueGap, bracket.lower, bracket.upper);
+    /** @type {SolverStatus} */
+    const solver = { method: 'brent', iterations, converged };
+    if (!converged) {
+        throw new CalculationFailedError(['income'], solver);
+    }
+
+    const annualIncrease = roundUp(root, 3);
+
+    return addFeeFreeComparison(calculateAnnualIncrease, params, summarizeResults({ ...scheduleParams, annualIncrease }, solver));
+}
@@ -0,0 +1,189 @@
+// @ts-check
+'use strict'
+
+// Historical backtesting: replays the withdrawal loop of `calculateResult` against
+// a sequence of real annual returns instead of one fixed interest rate.
+
+import {
+    DEFAULT_PAYMENT_FREQUENCY,
+    DEFAULT_PAYMENT_TIMING,
+    SHORTFALL_TOLERANCE,
+    InvalidParametersError,
+    applyPeriod,
+    roundDown,
+} from './annuity.js';
+
+// Types
+/** @typedef {import('./annuity.js').PaymentTiming} PaymentTiming */
+/**
+ * @typedef {Object} ReturnSeries
+ * @property {string} name
+ * @property {string} source
+ * @property {number} startYear calendar year of the first entry
+ * @property {number[]} returns annual total returns, in %
+ * @property {number[]} inflation annual inflation, in %
+ */
+/**
+ * @typedef {Object} BacktestParams
+ * @property {number} principal
+ * @property {number} income initial income per payment period
+ * @property {number} annualIncrease in %
+ * @property {number} annuityTerm years
+ * @property {number} [paymentFrequency]
+ * @property {PaymentTiming} [paymentTiming]
+ */
+/**
+ * @typedef {Object} BacktestPath
+ * @property {number} startYear
+ * @property {boolean} depleted whether the money ran out before the end of the term
+ * @property {number} yearsLasted the term when the money never ran out
+ * @property {number} endBalance
+ * @property {number} realEndBalance in money of the start year
+ * @property {number} totalWithdrawn
+ * @property {number} safeIncome highest initial income per payment period this sequence could have paid for the whole term
+ * @property {number[]} annualBalances ending balance of every year
+ * @property {number[]} realAnnualBalances ending balance of every year in money of the start year
+ */
+/**
+ * @typedef {Object} BacktestResult
+ * @property {BacktestPath[]} paths ordered from the worst outcome to the best
+ * @property {BacktestPath} worst
+ * @property {BacktestPath} median
+ * @property {BacktestPath} best
+ * @property {number} successRate share of periods in which the money lasted the term, 0 to 1
+ * @property {number} safeIncome highest initial income that lasted in every period tested
+ * @property {number} safeIncomeStartYear start year of the period that limits the safe income
+ */
+
+/**
+ * Start years with enough history to cover the whole term.
+ * @param {ReturnSeries} series
+ * @param {number} annuityTerm
+ * @returns {number[]}
+ */
+export function getAvailableStartYears(series, annuityTerm) {
+    const count = series.returns.length - Math.ceil(annuityTerm) + 1;
+    return Array.from({ length: Math.max(0, count) }, (_, index) => series.startYear + index);
+}
+
+/**
+ * @param {BacktestParams} params
+ * @param {ReturnSeries} series
+ * @param {number} startYear
+ * @returns {BacktestPath}
+ */
+function runPath(params, series, startYear) {
+    const {
+        principal,
+        income: initialIncome,
+        annualIncrease,
+        annuityTerm,
+        paymentFrequency = DEFAULT_PAYMENT_FREQUENCY,
+        paymentTiming = DEFAULT_PAYMENT_TIMING,
+    } = params;
+    const offset = startYear - series.startYear;
+    const termPeriods = Math.round(annuityTerm * paymentFrequency);
+
+    let balance = principal;
+    let income = initialIncome;
+    let priceLevel = 1;
+    let totalWithdrawn = 0;
+    let depletedAt = null;
+    /** @type {number[]} */
+    const annualBalances = [];
+    /** @type {number[]} */
+    const realAnnualBalances = [];
+
+    // Present value of the escalating payments per unit of initial income, for the safe income.
+    let discount = 1;
+    let escalation = 1;
+    let presentValue = 0;
+
+    for (let i = 0; i < termPeriods; i++) {
+        const year = Math.floor(i / paymentFrequency);
+        const ratePayB = Math.pow(1 + series.returns[offset + year] / 100, 1 / paymentFrequency) - 1;
+        if (i > 0 && i % paymentFrequency === 0) {
+            income *= 1 + annualIncrease / 100;
+            escalation *= 1 + annualIncrease / 100;
+        }
+
+        if (paymentTiming === 'beginning') {
+            presentValue += escalation * discount;
+            discount /= 1 + ratePayB;
+        } else {
+            discount /= 1 + ratePayB;
+            presentValue += escalation * discount;
+        }
+
+        if (depletedAt === null) {
+            const { withdrawal, endBalance } = applyPeriod(balance, ratePayB, income, paymentTiming);
+            balance = endBalance;
+            totalWithdrawn += withdrawal;
+            if (withdrawal < income * (1 - SHORTFALL_TOLERANCE)) {
+                depletedAt = i / paymentFrequency;
+                balance = 0;
+            }
+        }
+
+        if ((i + 1) % paymentFrequency === 0 || i + 1 === termPeriods) {
+            priceLevel *= 1 + series.inflation[offset + year] / 100;
+            annualBalances.push(balance);
+            realAnnualBalances.push(balance / priceLevel);
+        }
+    }
+
+    return {
+        startYear,
+        depleted: depletedAt !== null,
+        yearsLasted: depletedAt ?? termPeriods / paymentFrequency,
+        endBalance: balance,
+        realEndBalance: balance / priceLevel,
+        totalWithdrawn,
+        safeIncome: roundDown(principal / presentValue, 2),
+        annualBalances,
+        realAnnualBalances,
+    };
+}
+
+/**
+ * Runs the plan from `startYear`, or from every start year with enough history when it is `null`.
+ * @param {BacktestParams} params
+ * @param {ReturnSeries} series
+ * @param {?number} [startYear]
+ * @returns {BacktestResult}
+ */
+export function runBacktest(params, series, startYear = null) {
+    if (!(params.annuityTerm > 0)) {
+        throw new InvalidParametersError('The annuity term must be greater than 0.', ['annuityTerm']);
+    }
+
+    const availableYears = getAvailableStartYears(series, params.annuityTerm);
+    if (!availableYears.length) {
+        throw new InvalidParametersError(
+            `The ${series.name} history covers ${series.returns.length} years, which is shorter than the annuity term.`,
+            ['annuityTerm']
+        );
+    }
+    if (startYear !== null && !availableYears.includes(startYear)) {
+        throw new InvalidParametersError(
+            `A ${Math.ceil(params.annuityTerm)} year term can only start from ${availableYears[0]} to ${availableYears[availableYears.length - 1]} with the ${series.name} history.`,
+            ['startYear']
+        );
+    }
+
+    const paths = (startYear === null ? availableYears : [startYear])
+        .map(year => runPath(params, series, year))
+        .sort((a, b) => a.yearsLasted - b.yearsLasted || a.realEndBalance - b.realEndBalance);
+
+    const limitingPath = paths.reduce((min, path) => path.safeIncome < min.safeIncome ? path : min);
+
+    return {
+        paths,
+        worst: paths[0],
+        median: paths[Math.floor((paths.length - 1) / 2)],
+        best: paths[paths.length - 1],
+        successRate: paths.filter(path => !path.depleted).length / paths.length,
+        safeIncome: limitingPath.safeIncome,
+        safeIncomeStartYear: limitingPath.startYear,
+    };
+}
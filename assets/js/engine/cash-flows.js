@@ -0,0 +1,65 @@
+// @ts-check
+'use strict'
+
+// One-off and recurring deposits and withdrawals during the payout phase, on top of the regular income.
+
+/** @typedef {'deposit'|'withdrawal'} CashFlowType */
+/**
+ * @typedef {Object} CashFlowEvent
+ * @property {CashFlowType} type
+ * @property {number} month month of the payout phase it first happens in, from 1
+ * @property {number} amount
+ * @property {number} [repeatYears] repeats every this many years, a one-off when left out or 0
+ * @property {number} [escalation] annual increase in the amount between repeats, in %
+ */
+
+/**
+ * Payment period a month falls in.
+ * @param {number} month from 1
+ * @param {number} paymentFrequency
+ * @returns {number} zero-based period
+ */
+export function getCashFlowPeriod(month, paymentFrequency) {
+    return Math.floor((month - 1) * paymentFrequency / 12);
+}
+
+/**
+ * Net cash flow at the start of a payment period: deposits are positive, withdrawals negative.
+ * @param {CashFlowEvent[]} events
+ * @param {number} period zero-based
+ * @param {number} paymentFrequency
+ * @returns {number}
+ */
+export function getPeriodCashFlow(events, period, paymentFrequency) {
+    let cashFlow = 0;
+    for (const { type, month, amount, repeatYears = 0, escalation = 0 } of events) {
+        const elapsed = period - getCashFlowPeriod(month, paymentFrequency);
+        if (elapsed < 0) continue;
+        if (repeatYears > 0 ? elapsed % (repeatYears * paymentFrequency) !== 0 : elapsed !== 0) continue;
+
+        const years = elapsed / paymentFrequency;
+        const value = amount * Math.pow(1 + escalation / 100, years);
+        cashFlow += type === 'deposit' ? value : -value;
+    }
+    return cashFlow;
+}
+
+/**
+ * The years of a schedule in which any of the events happens, so a deposit and a withdrawal that net out still show.
+ * @param {CashFlowEvent[]} events
+ * @param {number} years in the schedule
+ * @param {number} paymentFrequency
+ * @param {number} [payoutStartYear] years of the schedule before the payout phase, which has no events
+ * @returns {boolean[]} by year of the schedule
+ */
+export function getCashFlowYears(events, years, paymentFrequency, payoutStartYear = 0) {
+    return Array.from({ length: years }, (_, year) => {
+        const payoutYear = year - payoutStartYear;
+        if (payoutYear < 0) return false;
+
+        for (let period = payoutYear * paymentFrequency; period < (payoutYear + 1) * paymentFrequency; period++) {
+            if (events.some(event => getPeriodCashFlow([event], period, paymentFrequency) !== 0)) return true;
+        }
+        return false;
+    });
+}
@@ -0,0 +1,90 @@
+// @ts-check
+'use strict'
+
+// Guardrails withdrawal policy, after Guyton and Klinger: the income rises by the annual increase every year,
+// except after a year in which the portfolio lost money, and it is cut when the withdrawal rate climbs too far
+// above the initial rate or raised when it falls too far below it. Caps and floors can limit how much the
+// income moves in a single year.
+
+/**
+ * @typedef {Object} GuardrailSettings
+ * @property {number} [threshold] how far the withdrawal rate can drift from the initial rate before a guardrail applies, in % of the initial rate
+ * @property {number} [adjustment] how much a guardrail cuts or raises the income, in %
+ * @property {number} [preservationEndYears] the capital preservation rule stops applying this many years before the end of the term
+ * @property {?number} [maxIncrease] most the income can rise in a year, in %
+ * @property {?number} [maxDecrease] most the income can fall in a year, in %
+ */
+/**
+ * @typedef {Object} GuardrailState
+ * @property {number} income per payment period over the past year
+ * @property {number} annualIncrease in %
+ * @property {number} balance at the anniversary
+ * @property {number} initialRate annual income over the balance at the start, as a fraction
+ * @property {number} lastYearReturn over the past year, as a fraction
+ * @property {number} yearsLeft until the end of the term
+ */
+/**
+ * @typedef {Object} GuardrailDecision
+ * @property {number} income per payment period for the coming year
+ * @property {number} rules the `GUARDRAIL_RULES` that applied, combined
+ */
+
+export const DEFAULT_GUARDRAIL_THRESHOLD = 20;
+export const DEFAULT_GUARDRAIL_ADJUSTMENT = 10;
+export const DEFAULT_PRESERVATION_END_YEARS = 15;
+
+/** Flags for the rules that set a year's income, so a year can record more than one. */
+export const GUARDRAIL_RULES = Object.freeze({
+    skippedIncrease: 1,
+    capitalPreservation: 2,
+    prosperity: 4,
+    increaseCapped: 8,
+    decreaseFloored: 16,
+});
+
+/**
+ * Sets the income for the coming year on an anniversary.
+ * @param {GuardrailSettings} settings
+ * @param {GuardrailState} state
+ * @param {number} paymentFrequency
+ * @returns {GuardrailDecision}
+ */
+export function applyGuardrails(settings, state, paymentFrequency) {
+    const {
+        threshold = DEFAULT_GUARDRAIL_THRESHOLD,
+        adjustment = DEFAULT_GUARDRAIL_ADJUSTMENT,
+        preservationEndYears = DEFAULT_PRESERVATION_END_YEARS,
+        maxIncrease = null,
+        maxDecrease = null,
+    } = settings;
+    const { income, annualIncrease, balance, initialRate, lastYearReturn, yearsLeft } = state;
+    /** @param {number} amount */
+    const getWithdrawalRate = (amount) => amount * paymentFrequency / balance;
+
+    let rules = 0;
+    let next = income;
+    if (lastYearReturn < 0 && getWithdrawalRate(income) > initialRate) {
+        rules |= GUARDRAIL_RULES.skippedIncrease;
+    } else {
+        next *= 1 + annualIncrease / 100;
+    }
+
+    const withdrawalRate = getWithdrawalRate(next);
+    if (withdrawalRate > initialRate * (1 + threshold / 100) && yearsLeft > preservationEndYears) {
+        next *= 1 - adjustment / 100;
+        rules |= GUARDRAIL_RULES.capitalPreservation;
+    } else if (withdrawalRate < initialRate * (1 - threshold / 100)) {
+        next *= 1 + adjustment / 100;
+        rules |= GUARDRAIL_RULES.prosperity;
+    }
+
+    if (maxIncrease !== null && next > income * (1 + maxIncrease / 100)) {
+        next = income * (1 + maxIncrease / 100);
+        rules |= GUARDRAIL_RULES.increaseCapped;
+    } else if (maxDecrease !== null && next < income * (1 - maxDecrease / 100)) {
+        next = income * (1 - maxDecrease / 100);
+        rules |= GUARDRAIL_RULES.decreaseFloored;
+    }
+
+    return { income: next, rules };
+}
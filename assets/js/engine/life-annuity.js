@@ -0,0 +1,152 @@
+// @ts-check
+'use strict'
+
+// Life annuities: each payment is weighted by the chance that the annuitant is alive to receive it,
+// except during the guarantee period, when payments are made either way. A joint-life annuity pays
+// in full while both are alive and a reduced survivor income after the first death.
+
+/** @typedef {import('./annuity.js').PaymentTiming} PaymentTiming */
+/** @typedef {'male'|'female'} Sex */
+/**
+ * @typedef {Object} MortalityTable
+ * @property {string} name
+ * @property {string} source
+ * @property {number[]} qx probability of dying within the year at each age from 0, ending with 1
+ */
+/**
+ * @typedef {Object} JointLife
+ * @property {MortalityTable} table
+ * @property {number} age at the start of the annuity, in whole years
+ * @property {number} survivorPercent of the income paid after the first death
+ */
+/**
+ * @typedef {Object} LifeSettings
+ * @property {MortalityTable} table
+ * @property {number} age at the start of the annuity, in whole years
+ * @property {number} [guaranteeYears] payments in the first this many years are made whether or not the annuitant is alive
+ * @property {?JointLife} [joint] the second life of a joint-life annuity
+ */
+/**
+ * @typedef {Object} ExpectedPayments
+ * @property {number[]} full expected fraction of the income paid in full, while guaranteed or everyone is alive
+ * @property {number[]} survivor expected fraction of the income paid as the survivor income
+ */
+
+/**
+ * Probability of someone of `age` surviving another `years`, with a constant force of mortality within each year of age.
+ * @param {MortalityTable} table
+ * @param {number} age
+ * @param {number} years
+ * @returns {number}
+ */
+export function getSurvivalProbability({ qx }, age, years) {
+    let probability = 1;
+    const wholeYears = Math.floor(years);
+    for (let year = 0; year < wholeYears; year++) {
+        const q = qx[age + year] ?? 1;
+        if (q >= 1) return 0;
+        probability *= 1 - q;
+    }
+
+    const fraction = years - wholeYears;
+    if (fraction > 0) {
+        probability *= Math.pow(1 - (qx[age + wholeYears] ?? 1), fraction);
+    }
+    return probability;
+}
+
+/**
+ * Expected remaining years of life.
+ * @param {MortalityTable} table
+ * @param {number} age
+ * @returns {number}
+ */
+export function getLifeExpectancy({ qx }, age) {
+    let expectancy = 0;
+    let alive = 1;
+    for (let x = age; x < qx.length; x++) {
+        const next = alive * (1 - qx[x]);
+        expectancy += (alive + next) / 2;
+        alive = next;
+    }
+    return expectancy;
+}
+
+/**
+ * Expected years until the last payment on a life: the death of the annuitant, or the second death for a joint life.
+ * @param {LifeSettings} life
+ * @returns {number}
+ */
+export function getPayoutExpectancy({ table, age, joint }) {
+    if (!joint) return getLifeExpectancy(table, age);
+
+    let expectancy = 0;
+    let anyAlive = 1;
+    for (let year = 1; year <= Math.max(table.qx.length - age, joint.table.qx.length - joint.age); year++) {
+        const first = getSurvivalProbability(table, age, year);
+        const second = getSurvivalProbability(joint.table, joint.age, year);
+        const next = first + second - first * second;
+        expectancy += (anyAlive + next) / 2;
+        anyAlive = next;
+    }
+    return expectancy;
+}
+
+/**
+ * Years until the last possible payment: the end of the tables or the guarantee, whichever is later.
+ * @param {LifeSettings} life
+ * @returns {number}
+ */
+export function getLifeAnnuityTerm({ table, age, guaranteeYears = 0, joint }) {
+    return Math.max(table.qx.length - age, joint ? joint.table.qx.length - joint.age : 0, guaranteeYears);
+}
+
+/**
+ * Expected share of the income paid in each payment period from the start.
+ * @param {LifeSettings} life
+ * @param {number} paymentFrequency
+ * @param {PaymentTiming} paymentTiming
+ * @returns {ExpectedPayments}
+ */
+export function getExpectedPayments(life, paymentFrequency, paymentTiming) {
+    const { table, age, guaranteeYears = 0, joint } = life;
+    const guaranteedPeriods = Math.round(guaranteeYears * paymentFrequency);
+    const periods = Math.round(getLifeAnnuityTerm(life) * paymentFrequency);
+
+    /** @type {ExpectedPayments} */
+    const payments = { full: [], survivor: [] };
+    for (let i = 0; i < periods; i++) {
+        const years = (paymentTiming === 'beginning' ? i : i + 1) / paymentFrequency;
+        if (i < guaranteedPeriods) {
+            payments.full.push(1);
+            payments.survivor.push(0);
+            continue;
+        }
+
+        const first = getSurvivalProbability(table, age, years);
+        if (!joint) {
+            payments.full.push(first);
+            payments.survivor.push(0);
+            continue;
+        }
+
+        const second = getSurvivalProbability(joint.table, joint.age, years);
+        const bothAlive = first * second;
+        payments.full.push(bothAlive);
+        payments.survivor.push((first + second - 2 * bothAlive) * joint.survivorPercent / 100);
+    }
+    return payments;
+}
+
+/**
+ * Weight of each payment, in payment periods from the start: 1 while guaranteed,
+ * otherwise the expected share of the income, allowing for the chance of death.
+ * @param {LifeSettings} life
+ * @param {number} paymentFrequency
+ * @param {PaymentTiming} paymentTiming
+ * @returns {number[]}
+ */
+export function getPaymentWeights(life, paymentFrequency, paymentTiming) {
+    const { full, survivor } = getExpectedPayments(life, paymentFrequency, paymentTiming);
+    return full.map((weight, i) => weight + survivor[i]);
+}
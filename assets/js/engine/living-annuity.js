@@ -0,0 +1,28 @@
+// @ts-check
+'use strict'
+
+// Living annuities: instead of a fixed income that escalates, the income is reset on every anniversary
+// to a chosen percentage of the balance, within the bands the regulations allow. The balance is never
+// run down on purpose, so the annuity is drawn for the term and whatever is left stays invested.
+
+/**
+ * @typedef {Object} LivingAnnuitySettings
+ * @property {number} drawDownRate annual income as a percentage of the balance on each anniversary
+ * @property {number} [minDrawDown] lowest draw-down rate allowed, in %
+ * @property {number} [maxDrawDown] highest draw-down rate allowed, in %
+ */
+
+/** South African living annuities must draw 2.5% to 17.5% of the balance a year. */
+export const DEFAULT_MIN_DRAW_DOWN = 2.5;
+export const DEFAULT_MAX_DRAW_DOWN = 17.5;
+
+/**
+ * Income per payment period for the year that starts with `balance`.
+ * @param {number} balance
+ * @param {LivingAnnuitySettings} settings
+ * @param {number} paymentFrequency
+ * @returns {number}
+ */
+export function getLivingAnnuityIncome(balance, { drawDownRate }, paymentFrequency) {
+    return balance * drawDownRate / 100 / paymentFrequency;
+}
@@ -0,0 +1,207 @@
+// @ts-check
+'use strict'
+
+// Monte Carlo projection of an annuity under variable returns. Each simulated path draws one
+// lognormal return per year and applies it to the same escalating withdrawals as `calculateResult`.
+
+import {
+    DEFAULT_PAYMENT_FREQUENCY,
+    DEFAULT_PAYMENT_TIMING,
+    SHORTFALL_TOLERANCE,
+    InvalidParametersError,
+    applyPeriod,
+} from './annuity.js';
+
+// Types
+/** @typedef {import('./annuity.js').PaymentTiming} PaymentTiming */
+/**
+ * @typedef {Object} MonteCarloParams
+ * @property {number} principal
+ * @property {number} income initial income per payment period
+ * @property {number} annualIncrease in %
+ * @property {number} annuityTerm target term in years
+ * @property {number} expectedReturn mean annual return, in %
+ * @property {number} volatility standard deviation of the annual return, in %
+ * @property {number} [paymentFrequency]
+ * @property {PaymentTiming} [paymentTiming]
+ * @property {number} [simulations]
+ * @property {number} [seed] paths are reproducible for the same seed
+ * @property {number} [horizonYears] how long paths are followed when looking for depletion
+ */
+/**
+ * @typedef {Object} Percentiles
+ * @property {number} p10
+ * @property {number} p25
+ * @property {number} p50
+ * @property {number} p75
+ * @property {number} p90
+ */
+/**
+ * @typedef {Object} MonteCarloResult
+ * @property {number} simulations
+ * @property {number} horizonYears
+ * @property {number} successProbability share of paths that fund every payment of the target term, 0 to 1
+ * @property {Percentiles} depletionYears years until the money runs out, `Infinity` beyond the horizon
+ * @property {Percentiles[]} balancePercentiles ending balance percentiles for each year of the target term
+ */
+
+export const DEFAULT_SIMULATIONS = 5000;
+export const MAX_SIMULATIONS = 100000;
+export const DEFAULT_SEED = 1;
+export const MAX_HORIZON_YEARS = 100;
+
+/**
+ * mulberry32: small, fast and good enough for sampling returns.
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Box-Muller transform.
+ * @param {() => number} random
+ * @returns {number} standard normal sample
+ */
+function randomNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * @param {Float64Array | number[]} sorted ascending
+ * @param {number} p between 0 and 1
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    if (lower === upper || sorted[upper] === sorted[lower]) return sorted[lower];
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * @param {Float64Array | number[]} sorted ascending
+ * @returns {Percentiles}
+ */
+function getPercentiles(sorted) {
+    return {
+        p10: percentile(sorted, 0.1),
+        p25: percentile(sorted, 0.25),
+        p50: percentile(sorted, 0.5),
+        p75: percentile(sorted, 0.75),
+        p90: percentile(sorted, 0.9),
+    };
+}
+
+/**
+ * @param {MonteCarloParams} params
+ */
+function validateParams(params) {
+    const { principal, income, annuityTerm, expectedReturn, volatility, simulations = DEFAULT_SIMULATIONS } = params;
+
+    if (!(principal > 0)) {
+        throw new InvalidParametersError('The principal must be greater than 0.', ['principal']);
+    }
+    if (!(income > 0)) {
+        throw new InvalidParametersError('The income must be greater than 0.', ['income']);
+    }
+    if (!(annuityTerm > 0)) {
+        throw new InvalidParametersError('The annuity term must be greater than 0.', ['annuityTerm']);
+    }
+    if (!(expectedReturn > -100)) {
+        throw new InvalidParametersError('The expected return must be greater than -100%.', ['expectedReturn']);
+    }
+    if (!(volatility >= 0)) {
+        throw new InvalidParametersError('The volatility cannot be negative.', ['volatility']);
+    }
+    if (!Number.isInteger(simulations) || simulations < 1 || simulations > MAX_SIMULATIONS) {
+        throw new InvalidParametersError(`The number of simulations must be a whole number from 1 to ${MAX_SIMULATIONS}.`, ['simulations']);
+    }
+}
+
+/**
+ * Annual returns are lognormal with the given arithmetic mean and standard deviation,
+ * so a path can never lose more than everything in a year.
+ * @param {MonteCarloParams} params
+ * @returns {MonteCarloResult}
+ */
+export function runMonteCarlo(params) {
+    validateParams(params);
+
+    const {
+        principal,
+        income: initialIncome,
+        annualIncrease,
+        annuityTerm,
+        expectedReturn,
+        volatility,
+        paymentFrequency = DEFAULT_PAYMENT_FREQUENCY,
+        paymentTiming = DEFAULT_PAYMENT_TIMING,
+        simulations = DEFAULT_SIMULATIONS,
+        seed = DEFAULT_SEED,
+    } = params;
+    const horizonYears = Math.min(
+        MAX_HORIZON_YEARS,
+        params.horizonYears ?? Math.max(2 * Math.ceil(annuityTerm), Math.ceil(annuityTerm) + 20)
+    );
+
+    const mean = 1 + expectedReturn / 100;
+    const sigma = Math.sqrt(Math.log(1 + Math.pow(volatility / 100 / mean, 2)));
+    const mu = Math.log(mean) - sigma * sigma / 2;
+
+    const termPeriods = Math.round(annuityTerm * paymentFrequency);
+    const termYears = Math.ceil(annuityTerm);
+    const random = createRandom(seed);
+
+    const depletionYears = new Float64Array(simulations);
+    const yearBalances = Array.from({ length: termYears }, () => new Float64Array(simulations));
+    let successes = 0;
+
+    for (let path = 0; path < simulations; path++) {
+        let balance = principal;
+        let income = initialIncome;
+        let depletedAt = Number.POSITIVE_INFINITY;
+
+        for (let year = 0; year < horizonYears && depletedAt === Number.POSITIVE_INFINITY; year++) {
+            const ratePayB = Math.exp((mu + sigma * randomNormal(random)) / paymentFrequency) - 1;
+            if (year > 0) income *= 1 + annualIncrease / 100;
+
+            for (let period = 0; period < paymentFrequency; period++) {
+                const { withdrawal, endBalance } = applyPeriod(balance, ratePayB, income, paymentTiming);
+                balance = endBalance;
+
+                if (withdrawal < income * (1 - SHORTFALL_TOLERANCE)) {
+                    depletedAt = year + period / paymentFrequency;
+                    balance = 0;
+                    break;
+                }
+            }
+
+            if (year < termYears) yearBalances[year][path] = balance;
+        }
+
+        depletionYears[path] = depletedAt;
+        if (depletedAt * paymentFrequency >= termPeriods) successes++;
+    }
+
+    depletionYears.sort();
+
+    return {
+        simulations,
+        horizonYears,
+        successProbability: successes / simulations,
+        depletionYears: getPercentiles(depletionYears),
+        balancePercentiles: yearBalances.map(balances => getPercentiles(balances.sort())),
+    };
+}
@@ -0,0 +1,80 @@
+// @ts-check
+'use strict'
+
+// Time-varying interest rates. A rate schedule is a list of annual rates in %,
+// one per year starting with year 1, where the last rate applies to every later year.
+
+/** @typedef {number[]} RateSchedule */
+
+/**
+ * @param {RateSchedule} schedule
+ * @param {number} year zero-based
+ * @returns {number}
+ */
+export function getScheduledRate(schedule, year) {
+    return schedule[Math.min(year, schedule.length - 1)];
+}
+
+/**
+ * Parses either a per-year list (`6, 6, 5.5, 4.5`) or year ranges (`1-5: 6, 6+: 4.5`).
+ * Ranges must start at year 1 and follow on from each other; the last one runs on indefinitely.
+ * @param {string} text
+ * @returns {?RateSchedule} `null` for an empty schedule
+ * @throws {SyntaxError} with a message suitable for the user
+ */
+export function parseRateSchedule(text) {
+    const entries = text.split(/[,;\n]/).map(entry => entry.trim()).filter(entry => entry !== '');
+    if (!entries.length) return null;
+
+    /** @type {RateSchedule} */
+    const schedule = [];
+    for (const entry of entries) {
+        const plain = entry.match(/^(-?\d+(?:\.\d+)?)\s*%?$/);
+        if (plain) {
+            schedule.push(Number(plain[1]));
+            continue;
+        }
+
+        const range = entry.match(/^(\d+)\s*(?:(?:-|to)\s*(\d+)|(\+))?\s*:\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+        if (!range) {
+            throw new SyntaxError(`"${entry}" is not a rate or a "years: rate" range.`);
+        }
+
+        const from = Number(range[1]);
+        const to = range[3] ? from : Number(range[2] ?? from);
+        if (from !== schedule.length + 1) {
+            throw new SyntaxError(`The rate schedule must cover every year from year 1; "${entry}" should start at year ${schedule.length + 1}.`);
+        }
+        if (to < from) {
+            throw new SyntaxError(`"${entry}" ends before it starts.`);
+        }
+        for (let year = from; year <= to; year++) {
+            schedule.push(Number(range[4]));
+        }
+    }
+
+    return schedule;
+}
+
+/**
+ * Describes a schedule as ranges of years, e.g. `6% (years 1-5), 4.5% thereafter`.
+ * @param {RateSchedule} schedule
+ * @returns {string}
+ */
+export function describeRateSchedule(schedule) {
+    /** @type {string[]} */
+    const parts = [];
+    let start = 0;
+    for (let year = 1; year <= schedule.length; year++) {
+        if (year < schedule.length && schedule[year] === schedule[start]) continue;
+
+        const rate = `${schedule[start]}%`;
+        if (year === schedule.length) {
+            parts.push(start === 0 ? rate : `${rate} thereafter`);
+        } else {
+            parts.push(start + 1 === year ? `${rate} (year ${year})` : `${rate} (years ${start + 1}-${year})`);
+        }
+        start = year;
+    }
+    return parts.join(', ');
+}
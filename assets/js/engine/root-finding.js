@@ -0,0 +1,144 @@
+// @ts-check
+'use strict'
+
+// Bracketed root finding used by the annuity solvers when no closed form applies.
+
+// Types
+/**
+ * @typedef {Object} RootResult
+ * @property {number} root
+ * @property {number} iterations function evaluations spent inside the bracket
+ * @property {boolean} converged
+ */
+/**
+ * @typedef {Object} Bracket
+ * @property {number} lower
+ * @property {number} upper
+ * @property {number} expansions
+ */
+
+export const ROOT_TOLERANCE = 1e-10;
+export const ROOT_MAX_ITERATIONS = 200;
+export const BRACKET_MAX_EXPANSIONS = 60;
+
+/**
+ * Widens `[lower, upper]` until `fn` changes sign across it, staying within `[min, max]`.
+ * @param {(x: number) => number} fn
+ * @param {number} lower
+ * @param {number} upper
+ * @param {{ min?: number, max?: number, maxExpansions?: number }} [options]
+ * @returns {?Bracket} `null` when no sign change was found
+ */
+export function bracketRoot(fn, lower, upper, {
+    min = Number.NEGATIVE_INFINITY,
+    max = Number.POSITIVE_INFINITY,
+    maxExpansions = BRACKET_MAX_EXPANSIONS,
+} = {}) {
+    let fLower = fn(lower);
+    let fUpper = fn(upper);
+
+    let expansions = 0;
+    while (!(fLower * fUpper <= 0) && expansions < maxExpansions) {
+        const width = upper - lower;
+        const canLower = lower > min;
+        const canUpper = upper < max;
+        if (!canLower && !canUpper) break;
+
+        if (canLower && (!canUpper || Math.abs(fLower) < Math.abs(fUpper) || isNaN(fUpper))) {
+            lower = Math.max(min, lower - width);
+            fLower = fn(lower);
+        } else {
+            upper = Math.min(max, upper + width);
+            fUpper = fn(upper);
+        }
+        expansions++;
+    }
+
+    return fLower * fUpper <= 0 ? { lower, upper, expansions } : null;
+}
+
+/**
+ * Brent's method: inverse quadratic interpolation with a bisection fallback.
+ * `fn(lower)` and `fn(upper)` must have opposite signs.
+ * @param {(x: number) => number} fn
+ * @param {number} lower
+ * @param {number} upper
+ * @param {{ tolerance?: number, maxIterations?: number }} [options]
+ * @returns {RootResult}
+ */
+export function findRoot(fn, lower, upper, {
+    tolerance = ROOT_TOLERANCE,
+    maxIterations = ROOT_MAX_ITERATIONS,
+} = {}) {
+    let a = lower;
+    let b = upper;
+    let fa = fn(a);
+    let fb = fn(b);
+
+    if (!(fa * fb <= 0)) {
+        return { root: Number.NaN, iterations: 0, converged: false };
+    }
+
+    let c = b;
+    let fc = fb;
+    let d = b - a;
+    let e = d;
+
+    for (let i = 1; i <= maxIterations; i++) {
+        if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+            c = a;
+            fc = fa;
+            d = b - a;
+            e = d;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b;
+            b = c;
+            c = a;
+            fa = fb;
+            fb = fc;
+            fc = fa;
+        }
+
+        const tol = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+        const middle = 0.5 * (c - b);
+        if (Math.abs(middle) <= tol || fb === 0) {
+            return { root: b, iterations: i, converged: true };
+        }
+
+        if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+            const s = fb / fa;
+            let p;
+            let q;
+            if (a === c) {
+                p = 2 * middle * s;
+                q = 1 - s;
+            } else {
+                const qa = fa / fc;
+                const r = fb / fc;
+                p = s * (2 * middle * qa * (qa - r) - (b - a) * (r - 1));
+                q = (qa - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) q = -q;
+            p = Math.abs(p);
+
+            if (2 * p < Math.min(3 * middle * q - Math.abs(tol * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = middle;
+                e = d;
+            }
+        } else {
+            d = middle;
+            e = d;
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol ? d : (middle > 0 ? tol : -tol);
+        fb = fn(b);
+    }
+
+    return { root: b, iterations: maxIterations, converged: false };
+}
@@ -0,0 +1,78 @@
+// @ts-check
+'use strict'
+
+// Income tax on annuity withdrawals from a table of marginal brackets, age-based rebates and tax thresholds.
+
+import { bracketRoot, findRoot } from './root-finding.js';
+
+// Types
+/**
+ * @typedef {Object} TaxBracket
+ * @property {number} from annual taxable income where the bracket starts
+ * @property {number} rate marginal rate, in %
+ */
+/**
+ * @typedef {Object} AgeAmount
+ * @property {number} minAge applies from this age up
+ * @property {number} amount
+ */
+/**
+ * @typedef {Object} TaxTable
+ * @property {string} name
+ * @property {string} source
+ * @property {string} [currency]
+ * @property {TaxBracket[]} brackets in ascending order
+ * @property {AgeAmount[]} [rebates] every rebate up to the taxpayer's age is deducted from the tax
+ * @property {AgeAmount[]} [thresholds] no tax is due on income up to the threshold for the taxpayer's age
+ */
+/**
+ * @typedef {Object} TaxSettings
+ * @property {TaxTable} table
+ * @property {number} age age in the first year of the annuity, it goes up by one every year
+ */
+
+/**
+ * @param {AgeAmount[]} amounts
+ * @param {number} age
+ * @returns {number} amount of the highest age band reached, 0 when there is none
+ */
+function getAgeAmount(amounts, age) {
+    const bands = amounts.filter(band => age >= band.minAge).sort((a, b) => b.minAge - a.minAge);
+    return bands[0]?.amount ?? 0;
+}
+
+/**
+ * @param {TaxTable} table
+ * @param {number} income annual taxable income
+ * @param {number} age
+ * @returns {number}
+ */
+export function getAnnualTax(table, income, age) {
+    const { brackets, rebates = [], thresholds = [] } = table;
+    if (income <= getAgeAmount(thresholds, age)) return 0;
+
+    let tax = 0;
+    brackets.forEach(({ from, rate }, index) => {
+        const to = brackets[index + 1]?.from ?? Number.POSITIVE_INFINITY;
+        if (income > from) tax += (Math.min(income, to) - from) * rate / 100;
+    });
+
+    const rebate = rebates.filter(band => age >= band.minAge).reduce((sum, band) => sum + band.amount, 0);
+    return Math.max(0, tax - rebate);
+}
+
+/**
+ * Gross annual income that leaves `netIncome` after tax.
+ * @param {TaxTable} table
+ * @param {number} netIncome
+ * @param {number} age
+ * @returns {import('./root-finding.js').RootResult}
+ */
+export function getGrossIncome(table, netIncome, age) {
+    /** @param {number} gross */
+    const netGap = (gross) => gross - getAnnualTax(table, gross, age) - netIncome;
+
+    const bracket = bracketRoot(netGap, netIncome, 2 * netIncome + 1, { min: netIncome });
+    if (!bracket) return { root: netIncome, iterations: 0, converged: false };
+    return findRoot(netGap, bracket.lower, bracket.upper);
+}
@@ -0,0 +1,321 @@
+// @ts-check
+'use strict'
+
+// Writers for downloading calculation results as CSV, XLSX and JSON.
+
+// Types
+/** @typedef {string | number | null} ExportValue */
+/** @typedef {'text' | 'integer' | 'money' | 'number'} ExportColumnType */
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} title
+ * @property {ExportColumnType} [type] defaults to `'number'`
+ */
+/**
+ * @typedef {Object} ExportSheet
+ * @property {string} name
+ * @property {ExportColumn[]} columns
+ * @property {ExportValue[][]} rows
+ */
+/**
+ * @typedef {Object} MoneyFormat
+ * @property {string} symbol
+ * @property {number} decimals
+ */
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name
+ * @property {Uint8Array} data
+ */
+
+export const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+export const JSON_MIME_TYPE = 'application/json;charset=utf-8';
+
+const XLSX_MONEY_FORMAT_ID = 164;
+const XLSX_STYLE_INDEX = { text: 0, number: 0, integer: 1, money: 2 };
+
+const encoder = new TextEncoder();
+
+/** @type {?Uint32Array} */
+let crcTable = null;
+
+/**
+ * @param {ExportValue} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A UTF-8 byte order mark is prepended so spreadsheet applications detect the encoding.
+ * @param {ExportSheet} sheet
+ * @returns {string}
+ */
+export function toCsv(sheet) {
+    const lines = [sheet.columns.map(column => column.title), ...sheet.rows]
+        .map(row => row.map(toCsvField).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {unknown} data
+ * @returns {string}
+ */
+export function toJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number} index zero-based
+ * @returns {string} spreadsheet column letters, e.g. `A`, `Z`, `AA`
+ */
+function getColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * @param {ExportValue} value
+ * @param {string} ref
+ * @param {number} style
+ * @returns {string}
+ */
+function getXlsxCell(value, ref, style) {
+    if (value === null) return '';
+    if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+/**
+ * @param {ExportSheet} sheet
+ * @returns {string}
+ */
+function getXlsxSheet(sheet) {
+    const styles = sheet.columns.map(column => XLSX_STYLE_INDEX[column.type ?? 'number']);
+    const rows = [sheet.columns.map(column => column.title), ...sheet.rows].map((row, rowIndex) => {
+        const cells = row
+            .map((value, columnIndex) => getXlsxCell(
+                value,
+                getColumnName(columnIndex) + (rowIndex + 1),
+                rowIndex === 0 ? 0 : styles[columnIndex] ?? 0
+            ))
+            .join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    });
+    const widths = sheet.columns
+        .map((column, index) => {
+            const length = Math.max(column.title.length, ...sheet.rows.map(row => String(row[index] ?? '').length));
+            return `<col min="${index + 1}" max="${index + 1}" width="${Math.min(60, Math.max(12, length + 2))}" customWidth="1"/>`;
+        })
+        .join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${widths}</cols>`
+        + `<sheetData>${rows.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+/**
+ * @param {MoneyFormat} money
+ * @returns {string}
+ */
+function getXlsxStyles({ symbol, decimals }) {
+    const numberFormat = `"${symbol}"\\ #,##0${decimals > 0 ? '.' + '0'.repeat(decimals) : ''}`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<numFmts count="1"><numFmt numFmtId="${XLSX_MONEY_FORMAT_ID}" formatCode="${escapeXml(numberFormat)}"/></numFmts>`
+        + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="3">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + `<xf numFmtId="${XLSX_MONEY_FORMAT_ID}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+        + '</cellXfs>'
+        + '</styleSheet>';
+}
+
+/**
+ * Builds an Office Open XML workbook with one worksheet per sheet.
+ * Money columns carry a number format using the currency symbol and decimals.
+ * @param {ExportSheet[]} sheets
+ * @param {MoneyFormat} money
+ * @returns {ArrayBuffer}
+ */
+export function toXlsx(sheets, money) {
+    const sheetEntries = sheets.map((sheet, index) => ({
+        name: `xl/worksheets/sheet${index + 1}.xml`,
+        data: encoder.encode(getXlsxSheet(sheet)),
+    }));
+
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>';
+
+    const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>';
+
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets>'
+        + sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name.slice(0, 31))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+        + '</sheets>'
+        + '</workbook>';
+
+    const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>';
+
+    return createZip([
+        { name: '[Content_Types].xml', data: encoder.encode(contentTypes) },
+        { name: '_rels/.rels', data: encoder.encode(rootRels) },
+        { name: 'xl/workbook.xml', data: encoder.encode(workbook) },
+        { name: 'xl/_rels/workbook.xml.rels', data: encoder.encode(workbookRels) },
+        { name: 'xl/styles.xml', data: encoder.encode(getXlsxStyles(money)) },
+        ...sheetEntries,
+    ]);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Writes an uncompressed (stored) zip archive, which is all an XLSX reader requires.
+ * @param {ZipEntry[]} entries
+ * @returns {ArrayBuffer}
+ */
+function createZip(entries) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    /** @type {Uint8Array[]} */
+    const localParts = [];
+    /** @type {Uint8Array[]} */
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const size = entry.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, entry.data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip.buffer;
+}
+
+/**
+ * Saves `data` through a temporary object URL.
+ * @param {string} filename
+ * @param {BlobPart} data
+ * @param {string} mimeType
+ */
+export function downloadFile(filename, data, mimeType) {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
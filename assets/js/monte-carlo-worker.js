@@ -0,0 +1,15 @@
+// @ts-check
+'use strict'
+
+// Runs Monte Carlo simulations off the main thread so the page stays responsive.
+
+import { runMonteCarlo } from './engine/monte-carlo.js';
+
+self.addEventListener('message', (event) => {
+    const { id, params } = event.data;
+    try {
+        self.postMessage({ id, result: runMonteCarlo(params) });
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message, fields: error.fields ?? [] } });
+    }
+});
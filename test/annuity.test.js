@@ -0,0 +1,511 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CalculationFailedError,
+    InfeasibleParametersError,
+    InvalidParametersError,
+    PERPETUITY_HORIZON_YEARS,
+    calculateAnnualIncrease,
+    calculateAnnuityTerm,
+    calculateIncome,
+    calculateInterestRate,
+    calculateRequiredContribution,
+    calculateResult,
+    calculateStartingPrincipal,
+    calculateStartingPrincipalForNetIncome,
+    getAnnualResults,
+    getAnnuityFactor,
+    getInterestPayRate,
+    getSustainableIncome,
+    roundDown,
+} from '../assets/js/engine/annuity.js';
+import { getAccumulatedBalance, getRequiredContribution } from '../assets/js/engine/accumulation.js';
+import { getCashFlowYears } from '../assets/js/engine/cash-flows.js';
+import { getPaymentWeights, getSurvivalProbability } from '../assets/js/engine/life-annuity.js';
+import { getScheduledRate, parseRateSchedule } from '../assets/js/engine/rate-schedule.js';
+import { bracketRoot, findRoot } from '../assets/js/engine/root-finding.js';
+import { getAnnualTax, getGrossIncome } from '../assets/js/engine/tax.js';
+
+/** @typedef {import('../assets/js/engine/annuity.js').ScheduleParams} ScheduleParams */
+
+const baseParams = {
+    principal: 1000000,
+    annuityTerm: 20,
+    interestRate: 8,
+    annualIncrease: 5,
+    compound: 12,
+    paymentFrequency: 12,
+};
+
+/**
+ * Every value `calculateResult` needs, so a schedule can be run on its own.
+ * @param {Partial<ScheduleParams>} params
+ * @returns {ScheduleParams}
+ */
+const toScheduleParams = (params) => ({
+    principal: 0,
+    annuityTerm: null,
+    interestRate: 0,
+    rateSchedule: null,
+    compound: 12,
+    paymentFrequency: 12,
+    paymentTiming: 'end',
+    income: 0,
+    annualIncrease: 0,
+    inflationRate: 0,
+    cashFlows: [],
+    assetFee: 0,
+    adminFee: 0,
+    initialFee: 0,
+    tax: null,
+    life: null,
+    survival: null,
+    accumulation: null,
+    endingBalance: 0,
+    livingAnnuity: null,
+    guardrails: null,
+    perpetual: false,
+    ...params,
+});
+
+/**
+ * Brute-force check of the closed forms: runs the schedule period by period for exactly the term
+ * and returns what is left, 0 when the income ran the balance out early.
+ * @param {Partial<ScheduleParams>} params
+ * @returns {number}
+ */
+const getBalanceAfterTerm = (params) => {
+    // A perpetual schedule stops at the end of the term instead of running until the balance is used up.
+    const { results } = calculateResult(toScheduleParams({ ...params, perpetual: true }));
+    return results[results.length - 1].endBalance;
+};
+
+/**
+ * @param {() => unknown} calculate
+ * @returns {InfeasibleParametersError}
+ */
+const getInfeasibleError = (calculate) => {
+    try {
+        calculate();
+    } catch (error) {
+        if (error instanceof InfeasibleParametersError) return error;
+        throw error;
+    }
+    assert.fail('expected an InfeasibleParametersError');
+};
+
+const accumulationParams = {
+    annuityTerm: 20,
+    interestRate: 8,
+    income: 6000,
+    annualIncrease: 0,
+    compound: 12,
+    paymentFrequency: 12,
+};
+
+test('required contribution is 0 when the current balance already pays the income forever', () => {
+    const { summary } = calculateRequiredContribution({
+        ...accumulationParams,
+        accumulation: { currentBalance: 900000, contribution: 0, growthRate: 7, years: 10 },
+    });
+
+    assert.equal(summary.accumulation?.contribution, 0);
+    assert.equal(summary.perpetual, true);
+});
+
+test('required contribution is 0 when the current balance pays the income for longer than the term', () => {
+    const { summary } = calculateRequiredContribution({
+        ...accumulationParams,
+        annualIncrease: 6,
+        accumulation: { currentBalance: 900000, contribution: 0, growthRate: 7, years: 10 },
+    });
+
+    assert.equal(summary.accumulation?.contribution, 0);
+    assert.equal(summary.perpetual, false);
+    assert.ok(summary.annuityTerm > accumulationParams.annuityTerm);
+});
+
+test('cash-flow years line up with the payout rows after an accumulation phase', () => {
+    const cashFlows = [
+        { type: /** @type {const} */ ('withdrawal'), month: 12, amount: 100000 },
+        { type: /** @type {const} */ ('deposit'), month: 30, amount: 50000, repeatYears: 5 },
+    ];
+    const { calculationResults, summary } = calculateIncome({
+        principal: 0,
+        annuityTerm: 20,
+        interestRate: 8,
+        annualIncrease: 0,
+        compound: 12,
+        paymentFrequency: 12,
+        cashFlows,
+        accumulation: { currentBalance: 500000, contribution: 2000, growthRate: 7, years: 15 },
+    });
+    const annualResults = getAnnualResults(calculationResults, summary.paymentFrequency);
+
+    for (const type of /** @type {const} */ (['withdrawal', 'deposit'])) {
+        const events = cashFlows.filter(event => event.type === type);
+        const cashFlowYears = getCashFlowYears(events, annualResults.length, summary.paymentFrequency, summary.accumulationYears);
+        const rowYears = annualResults.map(it => type === 'deposit' ? it.cashFlow > 0 : it.cashFlow < 0);
+        assert.deepEqual(cashFlowYears, rowYears);
+    }
+    assert.equal(annualResults.findIndex(it => it.cashFlow !== 0), summary.accumulationYears);
+});
+
+test('Brent finds a root inside a bracket widened to contain it', () => {
+    /** @param {number} x */
+    const fn = (x) => x * x * x - 2 * x - 5;
+    const bracket = bracketRoot(fn, 3, 4);
+    assert.ok(bracket && bracket.lower <= 2.0945514815 && bracket.upper >= 2.0945514815);
+
+    const { root, converged, iterations } = findRoot(fn, bracket.lower, bracket.upper);
+    assert.ok(converged);
+    assert.ok(iterations < 20);
+    assert.ok(Math.abs(root - 2.0945514815423265) < 1e-9);
+});
+
+test('no bracket is found when the function never changes sign within the limits', () => {
+    assert.equal(bracketRoot(x => x * x + 1, 0, 1, { min: -10, max: 10 }), null);
+    assert.equal(findRoot(x => x * x + 1, -1, 1).converged, false);
+});
+
+test('the solved interest rate runs the balance out at the end of the term', () => {
+    const income = 10000;
+    const { summary } = calculateInterestRate({ ...baseParams, income });
+    assert.equal(summary.solver.method, 'brent');
+    assert.ok(summary.solver.converged);
+
+    const scheduleParams = { ...baseParams, income };
+    assert.ok(getBalanceAfterTerm({ ...scheduleParams, interestRate: summary.interestRate }) < 0.01);
+    assert.ok(getBalanceAfterTerm({ ...scheduleParams, interestRate: summary.interestRate + 0.001 }) > 0);
+});
+
+test('the solved annual increase runs the balance out at the end of the term, falling when it has to', () => {
+    for (const income of [6000, 12000]) {
+        const { summary } = calculateAnnualIncrease({ ...baseParams, income });
+        assert.ok(summary.solver.converged);
+
+        const scheduleParams = { ...baseParams, income };
+        assert.ok(getBalanceAfterTerm({ ...scheduleParams, annualIncrease: summary.annualIncrease }) < 0.01);
+        assert.ok(getBalanceAfterTerm({ ...scheduleParams, annualIncrease: summary.annualIncrease - 0.001 }) > 0);
+        if (income === 12000) assert.ok(summary.annualIncrease < 0);
+    }
+});
+
+test('an income no interest rate can pay suggests the nearest income that works', () => {
+    const cases = [
+        { params: { ...baseParams, income: 1e8 }, bound: 'max', step: 0.01 },
+        { params: { ...baseParams, annuityTerm: 1, income: 1000 }, bound: 'min', step: -0.01 },
+    ];
+    for (const { params, bound, step } of cases) {
+        const { nearest, fields } = getInfeasibleError(() => calculateInterestRate(params));
+        assert.deepEqual(fields, ['income']);
+        assert.equal(nearest.field, 'income');
+        assert.equal(nearest.bound, bound);
+        assert.doesNotThrow(() => calculateInterestRate({ ...params, income: nearest.value }));
+        assert.throws(() => calculateInterestRate({ ...params, income: nearest.value + step }), InfeasibleParametersError);
+    }
+});
+
+test('an income no annual increase can pay suggests the nearest income that works', () => {
+    const cases = [
+        { params: { ...baseParams, income: 1e6 }, bound: 'max', step: 0.01 },
+        // No increase is paid within a one year term, so the income alone would decide it.
+        { params: { ...baseParams, annuityTerm: 2, income: 1000 }, bound: 'min', step: -0.01 },
+    ];
+    for (const { params, bound, step } of cases) {
+        const { nearest } = getInfeasibleError(() => calculateAnnualIncrease(params));
+        assert.equal(nearest.field, 'income');
+        assert.equal(nearest.bound, bound);
+        assert.doesNotThrow(() => calculateAnnualIncrease({ ...params, income: nearest.value }));
+        assert.throws(() => calculateAnnualIncrease({ ...params, income: nearest.value + step }), InfeasibleParametersError);
+    }
+});
+
+test('rate schedules parse from a list of rates or from ranges of years', () => {
+    assert.equal(parseRateSchedule(' , \n'), null);
+    assert.deepEqual(parseRateSchedule('6, 6%; 5.5\n-1'), [6, 6, 5.5, -1]);
+    assert.deepEqual(parseRateSchedule('1-2: 6, 3 to 4: 5%, 5+: 4.5'), [6, 6, 5, 5, 4.5]);
+    assert.deepEqual(parseRateSchedule('7, 2-3: 6, 4: 5'), [7, 6, 6, 5]);
+
+    const schedule = /** @type {number[]} */ (parseRateSchedule('1-2: 6, 3+: 4'));
+    assert.deepEqual([0, 1, 2, 50].map(year => getScheduledRate(schedule, year)), [6, 6, 4, 4]);
+});
+
+test('invalid rate schedules are rejected with a message for the user', () => {
+    assert.throws(() => parseRateSchedule('6, six'), { name: 'SyntaxError', message: '"six" is not a rate or a "years: rate" range.' });
+    assert.throws(() => parseRateSchedule('1-2: 6, 3-'), { name: 'SyntaxError', message: '"3-" is not a rate or a "years: rate" range.' });
+    assert.throws(() => parseRateSchedule('2-5: 6'), { name: 'SyntaxError', message: /from year 1; "2-5: 6" should start at year 1/ });
+    assert.throws(() => parseRateSchedule('1-2: 6, 4+: 5'), { name: 'SyntaxError', message: /"4\+: 5" should start at year 3/ });
+    assert.throws(() => parseRateSchedule('1-2: 6, 3-1: 5'), { name: 'SyntaxError', message: '"3-1: 5" ends before it starts.' });
+});
+
+test('the rate schedule annuity factor discounts every payment at its own year\'s rate', () => {
+    const rateSchedule = [10, 8, -2, 6];
+    for (const paymentTiming of /** @type {const} */ (['end', 'beginning'])) {
+        const params = toScheduleParams({ rateSchedule, compound: 4, paymentFrequency: 12, paymentTiming, annualIncrease: 3 });
+        const periods = 12 * 6 + 5;
+
+        let expected = 0;
+        let discount = 1;
+        for (let period = 0; period < periods; period++) {
+            const year = Math.floor(period / 12);
+            const v = 1 / (1 + getInterestPayRate(getScheduledRate(rateSchedule, year), 4, 12));
+            if (paymentTiming === 'end') discount *= v;
+            expected += discount * Math.pow(1.03, year);
+            if (paymentTiming === 'beginning') discount *= v;
+        }
+
+        assert.ok(Math.abs(getAnnuityFactor(params, periods) - expected) < 1e-9);
+    }
+});
+
+test('a rate schedule of one rate has the same annuity factor as that fixed rate', () => {
+    const params = toScheduleParams({ interestRate: 7, annualIncrease: 4 });
+    const factor = getAnnuityFactor(params, 12 * 20 + 7);
+    const scheduledFactor = getAnnuityFactor({ ...params, rateSchedule: [7, 7, 7] }, 12 * 20 + 7);
+    assert.ok(Math.abs(scheduledFactor - factor) < 1e-9);
+});
+
+test('the income solved for a rate schedule runs the balance out at the end of the term', () => {
+    const params = { ...baseParams, rateSchedule: /** @type {number[]} */ (parseRateSchedule('1-3: 9, 4-10: 5, 11+: 3')) };
+    const { summary } = calculateIncome(params);
+
+    assert.ok(getBalanceAfterTerm({ ...params, income: summary.income }) < 0.01);
+    assert.ok(getBalanceAfterTerm({ ...params, income: summary.income - 0.01 }) > 0);
+});
+
+/** @type {import('../assets/js/engine/tax.js').TaxTable} */
+const taxTable = {
+    name: 'Test',
+    source: 'Test',
+    brackets: [{ from: 0, rate: 10 }, { from: 10000, rate: 20 }, { from: 50000, rate: 40 }],
+    rebates: [{ minAge: 0, amount: 200 }, { minAge: 65, amount: 100 }],
+    thresholds: [{ minAge: 0, amount: 6000 }, { minAge: 65, amount: 9000 }],
+};
+
+test('tax is charged at each bracket\'s rate up to the next bracket, less the rebates', () => {
+    const brackets = { ...taxTable, rebates: [], thresholds: [] };
+    assert.equal(getAnnualTax(brackets, 0, 40), 0);
+    assert.equal(getAnnualTax(brackets, 10000, 40), 1000);
+    assert.ok(Math.abs(getAnnualTax(brackets, 10001, 40) - 1000.2) < 1e-9);
+    assert.equal(getAnnualTax(brackets, 50000, 40), 9000);
+    assert.ok(Math.abs(getAnnualTax(brackets, 50001, 40) - 9000.4) < 1e-9);
+
+    assert.equal(getAnnualTax(taxTable, 50000, 40), 8800);
+    assert.equal(getAnnualTax(taxTable, 50000, 64), 8800);
+    assert.equal(getAnnualTax(taxTable, 50000, 65), 8700);
+    assert.equal(getAnnualTax({ ...brackets, rebates: taxTable.rebates }, 1500, 40), 0);
+});
+
+test('no tax is due on income up to the threshold for the taxpayer\'s age', () => {
+    assert.equal(getAnnualTax(taxTable, 6000, 40), 0);
+    assert.ok(Math.abs(getAnnualTax(taxTable, 6000.01, 40) - 400.001) < 1e-9);
+    assert.equal(getAnnualTax(taxTable, 9000, 65), 0);
+    assert.ok(Math.abs(getAnnualTax(taxTable, 9000, 64) - 700) < 1e-9);
+});
+
+test('the gross income leaves the net income after tax, either side of the brackets and threshold', () => {
+    for (const age of [40, 70]) {
+        for (const netIncome of [0, 5800, 6000, 6200, 9200, 41200, 41200.01, 100000]) {
+            const { root, converged } = getGrossIncome(taxTable, netIncome, age);
+            assert.ok(converged);
+            assert.ok(root >= netIncome);
+            assert.ok(Math.abs(root - getAnnualTax(taxTable, root, age) - netIncome) < 1e-6, `${netIncome} at ${age}`);
+        }
+    }
+    assert.ok(Math.abs(getGrossIncome(taxTable, 41200, 40).root - 50000) < 1e-6);
+    assert.equal(getGrossIncome(taxTable, 5800, 40).root, 5800);
+});
+
+test('the principal for an income after tax pays that income after tax in the first year', () => {
+    const tax = { table: taxTable, age: 60 };
+    const income = 2500;
+    const { summary, calculationResults } = calculateStartingPrincipalForNetIncome({ ...baseParams, income, tax });
+    assert.ok(summary.solver.converged);
+
+    const [firstYear] = getAnnualResults(calculationResults, 12, tax);
+    assert.ok(firstYear.netWithdrawal >= income * 12);
+    assert.ok(firstYear.netWithdrawal - income * 12 < 0.12);
+});
+
+/** @type {import('../assets/js/engine/life-annuity.js').MortalityTable} */
+const mortalityTable = { name: 'Test', source: 'Test', qx: [0.1, 0.2, 0.5, 1] };
+
+/**
+ * @param {number[]} actual
+ * @param {number[]} expected
+ */
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-12, `${value} is not ${expected[i]} at ${i}`));
+};
+
+test('survival runs through the table, with a constant force of mortality within each year of age', () => {
+    assert.equal(getSurvivalProbability(mortalityTable, 0, 0), 1);
+    assert.ok(Math.abs(getSurvivalProbability(mortalityTable, 0, 2) - 0.72) < 1e-12);
+    assert.ok(Math.abs(getSurvivalProbability(mortalityTable, 0, 2.5) - 0.72 * Math.sqrt(0.5)) < 1e-12);
+    assert.equal(getSurvivalProbability(mortalityTable, 0, 4), 0);
+    assert.equal(getSurvivalProbability(mortalityTable, 2, 10), 0);
+});
+
+test('life payments are weighted by the chance of being alive for them, and guaranteed payments in full', () => {
+    const life = { table: mortalityTable, age: 0 };
+    assertClose(getPaymentWeights(life, 1, 'end'), [0.9, 0.72, 0.36, 0]);
+    assertClose(getPaymentWeights(life, 1, 'beginning'), [1, 0.9, 0.72, 0.36]);
+    assertClose(getPaymentWeights({ ...life, guaranteeYears: 2 }, 1, 'end'), [1, 1, 0.36, 0]);
+    assertClose(getPaymentWeights({ ...life, guaranteeYears: 6 }, 1, 'end'), [1, 1, 1, 1, 1, 1]);
+});
+
+test('a joint life pays in full while both are alive and the survivor income after the first death', () => {
+    const life = { table: mortalityTable, age: 0, joint: { table: mortalityTable, age: 1, survivorPercent: 50 } };
+    // Both alive: 0.9 x 0.8, 0.72 x 0.4, then none. Only one alive: half of first + second - 2 x both.
+    assertClose(getPaymentWeights(life, 1, 'end'), [0.72 + 0.13, 0.288 + 0.272, 0.18, 0]);
+    assertClose(getPaymentWeights({ ...life, joint: { ...life.joint, survivorPercent: 100 } }, 1, 'end'), [0.98, 0.832, 0.36, 0]);
+});
+
+test('the life annuity factor discounts every payment weighted by the chance of it being paid', () => {
+    const interestRate = 6;
+    const annualIncrease = 3;
+    const joint = { table: mortalityTable, age: 1, survivorPercent: 60 };
+    for (const life of [{ table: mortalityTable, age: 0, guaranteeYears: 1 }, { table: mortalityTable, age: 0, joint }]) {
+        for (const paymentTiming of /** @type {const} */ (['end', 'beginning'])) {
+            const survival = getPaymentWeights(life, 12, paymentTiming);
+            const params = toScheduleParams({ interestRate, annualIncrease, paymentTiming, life, survival });
+
+            const v = 1 / (1 + getInterestPayRate(interestRate, 12, 12));
+            const expected = survival.reduce((sum, weight, i) => sum
+                + weight * Math.pow(1 + annualIncrease / 100, Math.floor(i / 12)) * Math.pow(v, paymentTiming === 'end' ? i + 1 : i), 0);
+
+            assert.ok(Math.abs(getAnnuityFactor(params, survival.length) - expected) < 1e-9);
+
+            const { summary } = calculateStartingPrincipal({ ...baseParams, interestRate, annualIncrease, paymentTiming, life, income: 1000 });
+            assert.ok(Math.abs(summary.principal - 1000 * expected) < 0.01);
+        }
+    }
+});
+
+test('the accumulated balance grows every period and adds each month\'s contribution, rising once a year', () => {
+    const settings = { currentBalance: 50000, contribution: 1000, contributionIncrease: 5, growthRate: 7, years: 12 };
+    for (const paymentFrequency of [1, 4, 12]) {
+        let expected = settings.currentBalance;
+        for (let year = 0; year < settings.years; year++) {
+            for (let period = 0; period < paymentFrequency; period++) {
+                expected = expected * Math.pow(1.07, 1 / paymentFrequency) + 1000 * 12 / paymentFrequency * Math.pow(1.05, year);
+            }
+        }
+        assert.ok(Math.abs(getAccumulatedBalance(settings, paymentFrequency) - expected) < 1e-6);
+    }
+
+    // Without an increase the contributions are an annuity: (1 + i)^n - 1 over i.
+    const growthPayB = Math.pow(1.07, 1 / 12) - 1;
+    const level = { ...settings, contributionIncrease: 0 };
+    const closedForm = 50000 * Math.pow(1.07, 12) + 1000 * (Math.pow(1 + growthPayB, 144) - 1) / growthPayB;
+    assert.ok(Math.abs(getAccumulatedBalance(level, 12) - closedForm) < 1e-6);
+    assert.equal(getAccumulatedBalance({ ...settings, years: 0 }, 12), 50000);
+});
+
+test('the required contribution builds the balance up to the target, and is 0 when the balance grows to it alone', () => {
+    const settings = { currentBalance: 50000, contribution: 0, contributionIncrease: 3, growthRate: 6, years: 20 };
+    const contribution = getRequiredContribution(settings, 1000000, 12);
+    assert.ok(Math.abs(getAccumulatedBalance({ ...settings, contribution }, 12) - 1000000) < 1e-6);
+
+    assert.equal(getRequiredContribution(settings, getAccumulatedBalance(settings, 12), 12), 0);
+    assert.equal(getRequiredContribution({ ...settings, years: 0 }, 1000000, 12), Number.POSITIVE_INFINITY);
+});
+
+test('the required contribution is the most in whole cents that saves no more than the principal the income needs', () => {
+    const params = { ...accumulationParams, annualIncrease: 3 };
+    const accumulation = { currentBalance: 100000, contribution: 0, contributionIncrease: 4, growthRate: 7, years: 15 };
+    const { summary, calculationResults } = calculateRequiredContribution({ ...params, accumulation });
+    const contribution = /** @type {number} */ (summary.accumulation?.contribution);
+    const { principal } = calculateStartingPrincipal(params).summary;
+
+    assert.ok(getAccumulatedBalance({ ...accumulation, contribution }, 12) <= principal);
+    assert.ok(getAccumulatedBalance({ ...accumulation, contribution: contribution + 0.01 }, 12) > principal);
+
+    // The schedule saves for the accumulation years and pays out for the term, only the last payment falling a little short.
+    assert.equal(calculationResults.length, (15 + 20) * 12);
+    const lastIncome = 6000 * Math.pow(1.03, 19);
+    const { withdrawal } = calculationResults[calculationResults.length - 1];
+    assert.ok(withdrawal < lastIncome && lastIncome - withdrawal < 0.01 * 12 * 15 * Math.pow(1.07, 35));
+});
+
+test('a required contribution with nothing to save over, or invalid savings, is an error', () => {
+    const accumulation = { currentBalance: 1000, contribution: 0, growthRate: 7, years: 10 };
+    assert.throws(() => calculateRequiredContribution({ ...accumulationParams, accumulation: { ...accumulation, years: 0 } }),
+        (error) => error instanceof CalculationFailedError && error.fields[0] === 'accumulationYears');
+    assert.throws(() => calculateRequiredContribution({ ...accumulationParams, accumulation: { ...accumulation, years: 2.5 } }),
+        (error) => error instanceof InvalidParametersError && error.fields[0] === 'accumulationYears');
+    assert.throws(() => calculateRequiredContribution({ ...accumulationParams, accumulation: { ...accumulation, growthRate: -100 } }),
+        (error) => error instanceof InvalidParametersError && error.fields[0] === 'growthRate');
+});
+
+/**
+ * Balance at the end of each year of a schedule run for `years`.
+ * @param {Partial<ScheduleParams>} params
+ * @param {number} years
+ * @returns {number[]}
+ */
+const getYearEndBalances = (params, years) => {
+    const { results } = calculateResult(toScheduleParams({ ...params, annuityTerm: years, perpetual: true }));
+    return getAnnualResults(results).map(it => it.endBalance);
+};
+
+test('a level sustainable income keeps the balance where it started and a growing one grows it by the increase', () => {
+    for (const paymentTiming of /** @type {const} */ (['end', 'beginning'])) {
+        const params = toScheduleParams({ principal: 1000000, interestRate: 6, annualIncrease: 3, paymentTiming, adminFee: 10 });
+        const { level, growing } = getSustainableIncome(params);
+
+        getYearEndBalances({ ...params, income: /** @type {number} */ (level), annualIncrease: 0 }, 30)
+            .forEach(balance => assert.ok(Math.abs(balance - 1000000) < 1e-4));
+        // The admin fee stays level, so only what is left for the income has to rise 3% a year with it.
+        const adminFees = 1000000 * 10 / (/** @type {number} */ (level) + 10);
+        getYearEndBalances({ ...params, income: /** @type {number} */ (growing) }, 30).forEach((balance, year) => {
+            assert.ok(Math.abs(balance - adminFees - (1000000 - adminFees) * Math.pow(1.03, year + 1)) < 1e-4);
+        });
+    }
+});
+
+test('a rate schedule\'s final rate carries on forever for the sustainable income', () => {
+    const params = toScheduleParams({ principal: 1000000, rateSchedule: [10, 2, 5], annualIncrease: 2 });
+    const { level, growing } = getSustainableIncome(params);
+
+    const levelBalances = getYearEndBalances({ ...params, income: /** @type {number} */ (level), annualIncrease: 0 }, 40);
+    levelBalances.slice(2).forEach(balance => assert.ok(Math.abs(balance - levelBalances[1]) < 1e-4));
+    const growingBalances = getYearEndBalances({ ...params, income: /** @type {number} */ (growing) }, 40);
+    growingBalances.slice(2).forEach((balance, year) => {
+        assert.ok(Math.abs(balance / growingBalances[1] - Math.pow(1.02, year + 1)) < 1e-9);
+    });
+
+    // A higher early rate is worth more than the final rate carrying on from the start.
+    assert.ok(/** @type {number} */ (level) > /** @type {number} */ (getSustainableIncome({ ...params, rateSchedule: [5] }).level));
+});
+
+test('no income can rise forever at least as fast as the balance grows', () => {
+    const params = toScheduleParams({ principal: 1000000, interestRate: 6, compound: 1 });
+    assert.equal(getSustainableIncome({ ...params, annualIncrease: 6 }).growing, null);
+    assert.equal(getSustainableIncome({ ...params, annualIncrease: 8 }).growing, null);
+    // A level income can still be paid forever: the interest on the principal.
+    const { level } = getSustainableIncome({ ...params, annualIncrease: 6 });
+    assert.ok(Math.abs(/** @type {number} */ (level) - 1000000 * (Math.pow(1.06, 1 / 12) - 1)) < 1e-6);
+});
+
+test('life annuities have no sustainable income as they stop with the annuitant', () => {
+    const life = { table: mortalityTable, age: 0 };
+    const params = toScheduleParams({ principal: 1000000, interestRate: 6, life, survival: getPaymentWeights(life, 12, 'end') });
+    assert.deepEqual(getSustainableIncome(params), { level: null, growing: null });
+});
+
+test('an income no higher than the sustainable one lasts forever when solving for the term', () => {
+    const params = { principal: 1000000, interestRate: 6, annualIncrease: 2, compound: 12, paymentFrequency: 12 };
+    const growing = /** @type {number} */ (getSustainableIncome(toScheduleParams(params)).growing);
+
+    const { summary } = calculateAnnuityTerm({ ...params, income: roundDown(growing, 2) });
+    assert.equal(summary.perpetual, true);
+    assert.equal(summary.annuityTerm, PERPETUITY_HORIZON_YEARS);
+
+    const { summary: finite } = calculateAnnuityTerm({ ...params, income: roundDown(growing, 2) + 0.01 });
+    assert.equal(finite.perpetual, false);
+    assert.ok(finite.annuityTerm > PERPETUITY_HORIZON_YEARS && Number.isFinite(finite.annuityTerm));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateIncome, getAnnualResults } from '../assets/js/engine/annuity.js';
+import { applyGuardrails, GUARDRAIL_RULES } from '../assets/js/engine/guardrails.js';
+
+const guardrailParams = {
+    principal: 1000000,
+    annuityTerm: 20,
+    annualIncrease: 5,
+    compound: 12,
+    paymentFrequency: 12,
+    guardrails: {},
+};
+
+/** @param {import('../assets/js/engine/annuity.js').AnnuityParams} params */
+const getSkippedYears = (params) => {
+    const { calculationResults, summary } = calculateIncome(params);
+    return getAnnualResults(calculationResults, summary.paymentFrequency)
+        .map((it, index) => it.guardrailRules & GUARDRAIL_RULES.skippedIncrease ? index + 1 : 0)
+        .filter(year => year > 0);
+};
+
+test('the increase is skipped in the year after the rate schedule loses money', () => {
+    assert.deepEqual(getSkippedYears({ ...guardrailParams, rateSchedule: [8, 8, 8, -10, 8] }), [5]);
+});
+
+test('the increase is never skipped at a fixed rate, however far the balance falls', () => {
+    assert.deepEqual(getSkippedYears({ ...guardrailParams, interestRate: 6 }), []);
+});
+
+test('the increase is skipped after a year that lost money, if the withdrawal rate is above the initial rate', () => {
+    const state = {
+        income: 5000,
+        annualIncrease: 5,
+        balance: 1100000,
+        initialRate: 0.05,
+        lastYearReturn: -0.1,
+        yearsLeft: 10,
+    };
+
+    assert.deepEqual(applyGuardrails({}, state, 12), { income: 5000, rules: GUARDRAIL_RULES.skippedIncrease });
+    assert.deepEqual(applyGuardrails({}, { ...state, lastYearReturn: 0.1 }, 12), { income: 5250, rules: 0 });
+    assert.deepEqual(applyGuardrails({}, { ...state, initialRate: 0.06 }, 12), { income: 5250, rules: 0 });
+});